@@ -0,0 +1,268 @@
+/**
+ * Security advisories in the OSV schema (https://ossf.github.io/osv-schema/)
+ * Queries an OSV API endpoint (api.osv.dev by default) or reads a local OSV dump directory
+ * for a list of ecosystem/package pairs. Severity comes from the advisory data (CVSS v3
+ * base score or the database's own rating), not from keyword matching.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchUrl } = require('./http');
+const { compareVersions } = require('./versions');
+
+const DEFAULT_OSV_ENDPOINT = 'https://api.osv.dev/v1/query';
+const MAX_ADVISORIES = 50;
+const MAX_PAGES = 5;
+
+// CVSS v3.x base metric weights
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * CVSS v3.0/v3.1 base score from a vector string, or null for other versions
+ */
+function getCvss3Score(vector) {
+  if (!/^CVSS:3\.[01]\//.test(vector)) return null;
+
+  const metrics = {};
+  vector.split('/').slice(1).forEach(part => {
+    const [key, value] = part.split(':');
+    metrics[key] = value;
+  });
+
+  const changed = metrics.S === 'C';
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+  const av = CVSS3_WEIGHTS.AV[metrics.AV];
+  const ac = CVSS3_WEIGHTS.AC[metrics.AC];
+  const ui = CVSS3_WEIGHTS.UI[metrics.UI];
+  const [c, i, a] = ['C', 'I', 'A'].map(key => CVSS3_WEIGHTS.CIA[metrics[key]]);
+
+  if ([pr, av, ac, ui, c, i, a].some(weight => weight === undefined)) return null;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const exploitability = 8.22 * av * ac * pr * ui;
+
+  if (impact <= 0) return 0;
+  return changed
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+}
+
+/**
+ * Rate an advisory: critical for CVSS >= 9.0 or a CRITICAL database rating, otherwise high
+ * Returns { severity, reason, score }.
+ */
+function rateAdvisory(vuln) {
+  const scores = (vuln.severity || [])
+    .map(entry => getCvss3Score(entry.score))
+    .filter(score => score !== null);
+  const rating = [
+    vuln.database_specific?.severity,
+    ...(vuln.affected || []).map(affected => affected.database_specific?.severity)
+  ].find(Boolean);
+
+  if (scores.length > 0) {
+    const score = Math.max(...scores);
+    return {
+      severity: score >= 9.0 ? 'critical' : 'high',
+      reason: `CVSS ${score.toFixed(1)}`,
+      score
+    };
+  }
+
+  if (rating) {
+    return {
+      severity: String(rating).toUpperCase() === 'CRITICAL' ? 'critical' : 'high',
+      reason: `severity ${String(rating).toLowerCase()}`,
+      score: null
+    };
+  }
+
+  return { severity: 'high', reason: 'security advisory', score: null };
+}
+
+/**
+ * True when `version` falls in an OSV affected entry (explicit versions or ECOSYSTEM/SEMVER ranges)
+ */
+function isVersionAffected(affected, version) {
+  if ((affected.versions || []).includes(version)) return true;
+
+  return (affected.ranges || [])
+    .filter(range => range.type === 'ECOSYSTEM' || range.type === 'SEMVER')
+    .some(range => {
+      let inRange = false;
+      range.events.forEach(event => {
+        if (event.introduced !== undefined) {
+          if (event.introduced === '0' || compareVersions(version, event.introduced) >= 0) inRange = true;
+        } else if (event.fixed !== undefined) {
+          if (compareVersions(version, event.fixed) >= 0) inRange = false;
+        } else if (event.last_affected !== undefined) {
+          if (compareVersions(version, event.last_affected) > 0) inRange = false;
+        }
+      });
+      return inRange;
+    });
+}
+
+function matchesPackage(affected, pkg) {
+  return affected.package &&
+    affected.package.ecosystem.toLowerCase() === pkg.ecosystem.toLowerCase() &&
+    affected.package.name === pkg.name &&
+    (!pkg.version || isVersionAffected(affected, pkg.version));
+}
+
+/**
+ * Query an OSV API endpoint for one package (follows next_page_token)
+ */
+async function queryOsv(endpoint, pkg, source) {
+  const vulns = [];
+  let pageToken;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const query = {
+      package: { ecosystem: pkg.ecosystem, name: pkg.name },
+      ...(pkg.version ? { version: pkg.version } : {}),
+      ...(pageToken ? { page_token: pageToken } : {})
+    };
+
+    const response = JSON.parse(await fetchUrl(endpoint, {
+      ...(source.http || {}),
+      method: 'POST',
+      body: JSON.stringify(query),
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+    }));
+
+    vulns.push(...(response.vulns || []));
+    pageToken = response.next_page_token;
+    if (!pageToken) break;
+  }
+
+  return vulns;
+}
+
+/**
+ * Load the advisory JSON files under a local OSV dump directory (e.g. extracted all.zip files)
+ * that mention one of `names`; the raw text is checked first so only candidates are parsed
+ */
+function loadOsvDump(dumpPath, names) {
+  const files = [];
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith('.json')) {
+        files.push(fullPath);
+      }
+    });
+  };
+  walk(dumpPath);
+
+  // Package names as JSON string literals, also with the optional "\/" escape
+  const needles = [...new Set(names.flatMap(name => {
+    const literal = JSON.stringify(name);
+    return [literal, literal.replace(/\//g, '\\/')];
+  }))];
+
+  return files.flatMap(file => {
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      return needles.some(needle => text.includes(needle)) ? [JSON.parse(text)] : [];
+    } catch (error) {
+      console.warn(`Skipping invalid OSV file ${file}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * `pinned` is true when a matched package declares the version in use; without one every
+ * historical advisory matches, so nothing is rated above high
+ */
+function createAdvisoryItem(source, vuln, packages, pinned) {
+  const rating = rateAdvisory(vuln);
+  const { score } = rating;
+  const severity = pinned ? rating.severity : 'high';
+  const reason = pinned || rating.severity !== 'critical' ? rating.reason : `${rating.reason}, version not pinned`;
+  const cves = (vuln.aliases || []).filter(alias => alias.startsWith('CVE-'));
+  const fixed = (vuln.affected || [])
+    .flatMap(affected => (affected.ranges || []).flatMap(range => range.events))
+    .map(event => event.fixed)
+    .filter(Boolean);
+
+  return {
+    id: `osv-${vuln.id}`,
+    title: `${source.name} - ${vuln.id}${cves.length ? ` (${cves.join(', ')})` : ''}: ${vuln.summary || packages.join(', ')}`,
+    url: `https://osv.dev/vulnerability/${vuln.id}`,
+    description: [
+      `Packages: ${packages.join(', ')}`,
+      `Severity: ${reason}`,
+      fixed.length > 0 ? `Fixed in: ${[...new Set(fixed)].join(', ')}` : 'No fixed version',
+      (vuln.details || '').replace(/\s+/g, ' ').trim()
+    ].join('\n').substring(0, 500),
+    publishedAt: new Date(vuln.published || vuln.modified).getTime(),
+    advisoryId: vuln.id,
+    aliases: vuln.aliases || [],
+    cvssScore: score,
+    presetSeverity: severity,
+    presetReason: reason,
+    source: source.id,
+    rawData: { id: vuln.id, aliases: vuln.aliases, modified: vuln.modified, published: vuln.published }
+  };
+}
+
+/**
+ * Fetch advisories affecting `source.packages` ([{ ecosystem, name, version? }])
+ * Reads from `source.path` (local OSV dump) when set, otherwise from `source.endpoint`.
+ */
+async function fetchAdvisories(source) {
+  const packages = source.packages || [];
+  if (packages.length === 0) {
+    throw new Error('"packages" is required for advisory sources');
+  }
+
+  const byId = new Map();
+  const addVuln = (vuln, pkg) => {
+    if (vuln.withdrawn) return;
+    const entry = byId.get(vuln.id) || { vuln, packages: [], pinned: false };
+    entry.packages.push(pkg.version ? `${pkg.ecosystem}:${pkg.name}@${pkg.version}` : `${pkg.ecosystem}:${pkg.name}`);
+    entry.pinned = entry.pinned || Boolean(pkg.version);
+    byId.set(vuln.id, entry);
+  };
+
+  if (source.path) {
+    const dump = loadOsvDump(path.resolve(__dirname, '..', source.path), packages.map(pkg => pkg.name));
+    dump.forEach(vuln => {
+      packages
+        .filter(pkg => (vuln.affected || []).some(affected => matchesPackage(affected, pkg)))
+        .forEach(pkg => addVuln(vuln, pkg));
+    });
+  } else {
+    const endpoint = source.endpoint || DEFAULT_OSV_ENDPOINT;
+    for (const pkg of packages) {
+      (await queryOsv(endpoint, pkg, source)).forEach(vuln => addVuln(vuln, pkg));
+    }
+  }
+
+  return [...byId.values()]
+    .map(({ vuln, packages: matched, pinned }) => createAdvisoryItem(source, vuln, matched, pinned))
+    .sort((a, b) => b.publishedAt - a.publishedAt)
+    .slice(0, source.maxItems || MAX_ADVISORIES);
+}
+
+module.exports = {
+  fetchAdvisories,
+  isVersionAffected
+};
@@ -1,8 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { ID_SCHEME } = require('./identity');
 
 const CACHE_DIR = path.join(__dirname, '..', 'cache');
 const STATE_FILE = path.join(CACHE_DIR, 'state.json');
+const HTTP_CACHE_FILE = path.join(CACHE_DIR, 'http-cache.json');
+
+// Conditional request entries unused for this long are dropped on save
+const HTTP_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
 /**
  * Ensure cache directory exists
@@ -56,6 +61,79 @@ function saveState(state) {
   }
 }
 
+/**
+ * Load conditional request cache (ETag + body per URL)
+ */
+function loadHttpCache() {
+  ensureCacheDir();
+
+  if (!fs.existsSync(HTTP_CACHE_FILE)) {
+    return {};
+  }
+
+  try {
+    const data = fs.readFileSync(HTTP_CACHE_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('Failed to load HTTP cache:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Save conditional request cache, pruning stale entries
+ */
+function saveHttpCache(httpCache) {
+  ensureCacheDir();
+
+  const cutoff = Date.now() - HTTP_CACHE_TTL_MS;
+  const pruned = {};
+  Object.entries(httpCache).forEach(([url, entry]) => {
+    if (entry.usedAt && new Date(entry.usedAt).getTime() >= cutoff) {
+      pruned[url] = entry;
+    }
+  });
+
+  try {
+    fs.writeFileSync(HTTP_CACHE_FILE, JSON.stringify(pruned), 'utf8');
+  } catch (error) {
+    // Losing the HTTP cache only costs extra requests next run
+    console.error('Failed to save HTTP cache:', error.message);
+  }
+}
+
+/**
+ * Migrate seenIds written under an older item ID scheme (see lib/identity.js), in place
+ * Stored IDs are hashes and cannot be recomputed, so each current item that carries a
+ * `legacyId` replaces it in its source's seenIds; IDs of items no longer fetched drop out
+ * on the next save as usual. Sources without items this run are left for a later run.
+ * Returns the number of migrated IDs.
+ */
+function migrateSeenIds(state, items) {
+  if (!state.initialized) return 0;
+
+  const currentIds = new Map();
+  items.forEach(item => {
+    if (!currentIds.has(item.source)) currentIds.set(item.source, new Map());
+    if (item.legacyId) currentIds.get(item.source).set(item.legacyId, item.id);
+  });
+
+  let migrated = 0;
+  Object.entries(state.sources).forEach(([sourceId, sourceState]) => {
+    if ((sourceState.idScheme || 1) >= ID_SCHEME || !currentIds.has(sourceId)) return;
+
+    const legacyIds = currentIds.get(sourceId);
+    sourceState.seenIds = (sourceState.seenIds || []).map(id => {
+      if (!legacyIds.has(id)) return id;
+      migrated++;
+      return legacyIds.get(id);
+    });
+    sourceState.idScheme = ID_SCHEME;
+  });
+
+  return migrated;
+}
+
 /**
  * Get new items by comparing with cached state
  */
@@ -78,9 +156,11 @@ function getNewItems(scoredItems, previousState) {
     }
   });
 
-  // Find items not in previous state
+  // Find items not in previous state; a merged item is new only if none of its
+  // duplicates was seen either (a late copy of an old announcement is not news)
   scoredItems.forEach(item => {
-    if (!seenIds.has(item.id)) {
+    const ids = [item.id, ...(item.duplicates || []).map(duplicate => duplicate.id)];
+    if (!ids.some(id => seenIds.has(id))) {
       newItems.push(item);
     }
   });
@@ -93,8 +173,17 @@ function getNewItems(scoredItems, previousState) {
 
 /**
  * Update state with current items
+ * `options.sourceData` holds per-source data written by fetchers (stored as `data`).
+ * `options.fetchStatus` holds each fetched source's status (stored as `fetch`); sources
+ * that failed or returned nothing keep the seenIds and data of `options.previousState`,
+ * so their items are not reported again once the source recovers.
  */
-function updateState(scoredItems) {
+function updateState(scoredItems, options = {}) {
+  const sourceData = options.sourceData || {};
+  const fetchStatus = options.fetchStatus || {};
+  const previousSources = options.previousState?.sources || {};
+  const now = new Date().toISOString();
+
   const state = {
     lastRun: new Date().toISOString(),
     initialized: true,
@@ -115,6 +204,7 @@ function updateState(scoredItems) {
     state.sources[sourceId] = {
       lastUpdated: new Date().toISOString(),
       itemCount: items.length,
+      idScheme: ID_SCHEME,
       seenIds: items.map(item => item.id),
       latestItem: items.length > 0 ? {
         id: items[0].id,
@@ -124,6 +214,51 @@ function updateState(scoredItems) {
     };
   });
 
+  // Carry forward sources that failed or came back empty, and record every fetch result
+  Object.entries(fetchStatus).forEach(([sourceId, result]) => {
+    const previous = previousSources[sourceId];
+    const current = state.sources[sourceId];
+
+    if (result.status !== 'ok' && previous) {
+      state.sources[sourceId] = {
+        ...previous,
+        ...(current ? { itemCount: current.itemCount, latestItem: current.latestItem } : {}),
+        seenIds: [...new Set([...(current?.seenIds || []), ...(previous.seenIds || [])])]
+      };
+    } else if (!current) {
+      state.sources[sourceId] = {
+        lastUpdated: now,
+        itemCount: 0,
+        idScheme: ID_SCHEME,
+        seenIds: [],
+        latestItem: null
+      };
+    }
+
+    const failed = result.status === 'failed';
+    state.sources[sourceId].fetch = {
+      status: result.status,
+      error: result.error || null,
+      lastAttempt: now,
+      lastSuccess: failed ? previous?.fetch?.lastSuccess || null : now,
+      consecutiveFailures: failed ? (previous?.fetch?.consecutiveFailures || 0) + 1 : 0
+    };
+  });
+
+  // Attach fetcher data, including sources that produced no items
+  Object.entries(sourceData).forEach(([sourceId, data]) => {
+    if (!state.sources[sourceId]) {
+      state.sources[sourceId] = {
+        lastUpdated: new Date().toISOString(),
+        itemCount: 0,
+        idScheme: ID_SCHEME,
+        seenIds: [],
+        latestItem: null
+      };
+    }
+    state.sources[sourceId].data = data;
+  });
+
   return state;
 }
 
@@ -155,7 +290,8 @@ function getCacheStats() {
       id,
       lastUpdated: data.lastUpdated,
       itemCount: data.itemCount,
-      latestTitle: data.latestItem?.title
+      latestTitle: data.latestItem?.title,
+      fetch: data.fetch || null
     }))
   };
 }
@@ -183,6 +319,9 @@ function resetCache() {
 module.exports = {
   loadState,
   saveState,
+  loadHttpCache,
+  saveHttpCache,
+  migrateSeenIds,
   getNewItems,
   updateState,
   getCacheStats,
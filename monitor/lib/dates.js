@@ -0,0 +1,142 @@
+/**
+ * Date detection in free text (HTML entries, headings, section bodies)
+ * Recognizes ISO dates, YYYY/MM/DD, English month-name dates and Japanese YYYY年M月D日.
+ * Dates without a time are taken as midnight UTC.
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+function monthFromName(name) {
+  return MONTHS[name.substring(0, 3).toLowerCase()];
+}
+
+/**
+ * Build a timestamp from components, rejecting impossible dates (e.g. 2025-02-30)
+ */
+function toTimestamp(year, month, day, hour = 0, minute = 0, second = 0) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (y < 1990 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+
+  const time = Date.UTC(y, m - 1, d, Number(hour), Number(minute), Number(second));
+  const date = new Date(time);
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? time : null;
+}
+
+// Default patterns; each returns a timestamp (or null) from its match
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?/,
+    parse: match => {
+      if (match[4] && match[7]) {
+        const zone = match[7] === 'Z' ? 'Z' : match[7].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+        const time = Date.parse(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || '00'}${zone}`);
+        return Number.isNaN(time) ? null : time;
+      }
+      return toTimestamp(match[1], match[2], match[3], match[4] || 0, match[5] || 0, match[6] || 0);
+    }
+  },
+  {
+    // Dotted forms (2024.3.1) look like calendar versions, so they need an explicit dateFormat
+    regex: /\b(\d{4})\/(\d{1,2})\/(\d{1,2})\b/,
+    parse: match => toTimestamp(match[1], match[2], match[3])
+  },
+  {
+    regex: /(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/,
+    parse: match => toTimestamp(match[1], match[2], match[3])
+  },
+  {
+    regex: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'),
+    parse: match => toTimestamp(match[3], monthFromName(match[1]), match[2])
+  },
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'i'),
+    parse: match => toTimestamp(match[3], monthFromName(match[2]), match[1])
+  }
+];
+
+// dateFormat tokens (longest first so "MMMM" wins over "MM" and "M")
+const FORMAT_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', field: 'year' },
+  YY: { pattern: '(\\d{2})', field: 'shortYear' },
+  MMMM: { pattern: MONTH_NAME, field: 'monthName' },
+  MMM: { pattern: MONTH_NAME, field: 'monthName' },
+  MM: { pattern: '(\\d{2})', field: 'month' },
+  M: { pattern: '(\\d{1,2})', field: 'month' },
+  DD: { pattern: '(\\d{2})', field: 'day' },
+  D: { pattern: '(\\d{1,2})', field: 'day' },
+  HH: { pattern: '(\\d{2})', field: 'hour' },
+  H: { pattern: '(\\d{1,2})', field: 'hour' },
+  mm: { pattern: '(\\d{2})', field: 'minute' }
+};
+
+const compiledFormats = new Map();
+
+/**
+ * Compile a dateFormat such as "DD.MM.YYYY", "MMM D, YYYY" or "YYYY年M月D日" into a pattern
+ */
+function compileFormat(format) {
+  if (compiledFormats.has(format)) {
+    return compiledFormats.get(format);
+  }
+
+  const fields = [];
+  const source = format
+    .split(/(YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm)/)
+    .map(part => {
+      const token = FORMAT_TOKENS[part];
+      if (!token) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+      fields.push(token.field);
+      return token.pattern;
+    })
+    .join('');
+
+  const compiled = {
+    regex: new RegExp(source, 'i'),
+    parse: match => {
+      const values = {};
+      fields.forEach((field, index) => {
+        values[field] = match[index + 1];
+      });
+      const year = values.year || (values.shortYear ? `20${values.shortYear}` : null);
+      const month = values.monthName ? monthFromName(values.monthName) : values.month;
+      return toTimestamp(year, month, values.day, values.hour || 0, values.minute || 0);
+    }
+  };
+
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+/**
+ * Find the first date in a text; with `format`, only that format is recognized
+ * Returns a timestamp (ms) or null.
+ */
+function findDate(text, format) {
+  if (!text) return null;
+  // NFKC folds full-width digits (２０２５年) used on Japanese pages
+  const normalized = text.normalize('NFKC');
+  const patterns = format ? [compileFormat(format)] : DATE_PATTERNS;
+
+  let best = null;
+  patterns.forEach(pattern => {
+    const match = pattern.regex.exec(normalized);
+    if (!match || (best && best.index <= match.index)) return;
+    const time = pattern.parse(match);
+    if (time !== null) {
+      best = { index: match.index, time };
+    }
+  });
+
+  return best ? best.time : null;
+}
+
+module.exports = {
+  findDate
+};
@@ -0,0 +1,111 @@
+/**
+ * Cross-source duplicate detection
+ * The same announcement often reaches several sources (two scrapers of one Apple news page,
+ * a vendor feed and the GitHub release, npm and GitHub for one SDK). Items from different
+ * sources are clustered when their versions agree and either their canonical URLs match or
+ * their titles are near-identical; each cluster is reported once.
+ */
+
+const { extractVersion } = require('./versions');
+const { normalizeUrl } = require('./identity');
+
+// Dice coefficient of title tokens needed to treat two titles as the same announcement
+const TITLE_SIMILARITY = 0.8;
+
+// Words that announcements phrase differently ("Xcode 16.1 is now available" / "Xcode 16.1 released")
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'with', 'is', 'are', 'now',
+  'available', 'release', 'released', 'releases', 'version', 'update', 'updates', 'new', 'v'
+]);
+
+function tokenize(text) {
+  return text.normalize('NFKC').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Comparison key of an item: version, canonical URL and the title's tokens without the
+ * version. Titles that are only a version ("v8.0.0") use the source name instead.
+ */
+function getItemKey(item, source) {
+  const version = extractVersion(String(item.version || '')) || extractVersion(String(item.title || ''));
+  const title = String(item.title || '');
+  let tokens = tokenize(version ? title.replace(/v?\d+(?:[._]\d+)+[\w.+-]*/gi, ' ') : title);
+  if (tokens.length === 0) {
+    tokens = tokenize(source?.name || item.sourceName || '');
+  }
+
+  // A link back to the source's own page (list pages, change detection) identifies nothing
+  const url = normalizeUrl(item.url);
+  const sourceUrl = normalizeUrl(source?.url);
+
+  return {
+    version,
+    url: url && url !== sourceUrl ? url : null,
+    tokens: new Set(tokens)
+  };
+}
+
+function getSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(token => b.has(token)).length;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function isDuplicate(a, b) {
+  if (a.version && b.version && a.version !== b.version) return false;
+  if (a.url && a.url === b.url) return true;
+  return getSimilarity(a.tokens, b.tokens) >= TITLE_SIMILARITY;
+}
+
+/**
+ * Merge duplicates across sources
+ * Expects items sorted by severity (scoreAllItems order), so the first member of a cluster
+ * has the highest severity and represents it. Merged items get `duplicates` (the other
+ * members) and `sourceNames` (every contributing source). Items of one source are never
+ * merged with each other, and sources with `"dedup": false` are left alone.
+ */
+function clusterItems(scoredItems, sources) {
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const clusters = [];
+
+  scoredItems.forEach(item => {
+    const source = sourcesById.get(item.source);
+    const entry = { item, key: getItemKey(item, source) };
+
+    const cluster = source?.dedup === false ? null : clusters.find(candidate =>
+      candidate.dedup &&
+      !candidate.members.some(member => member.item.source === item.source) &&
+      candidate.members.some(member => isDuplicate(member.key, entry.key))
+    );
+
+    if (cluster) {
+      cluster.members.push(entry);
+    } else {
+      clusters.push({ dedup: source?.dedup !== false, members: [entry] });
+    }
+  });
+
+  return clusters.map(({ members }) => {
+    const [first, ...others] = members.map(member => member.item);
+    if (others.length === 0) return first;
+
+    return {
+      ...first,
+      duplicates: others.map(other => ({
+        id: other.id,
+        source: other.source,
+        sourceName: other.sourceName,
+        title: other.title,
+        url: other.url || null,
+        severity: other.severity
+      })),
+      sourceNames: [...new Set([first.sourceName, ...others.map(other => other.sourceName)])]
+    };
+  });
+}
+
+module.exports = {
+  clusterItems
+};
@@ -0,0 +1,113 @@
+/**
+ * Versions we run, declared per source (`inUse`) or read from lockfiles (`lockfile`)
+ * and their relationship to a released version ("our line", "older line", "N majors behind").
+ *
+ * Lockfiles are read with lib/manifests.js (composer.lock, package-lock.json, poetry.lock,
+ * Pipfile.lock, requirements*.txt, Podfile.lock, libs.versions.toml and gradle.lockfile).
+ */
+
+const path = require('path');
+const { extractVersion, compareVersions } = require('./versions');
+const { readManifest, isSamePackage } = require('./manifests');
+
+// Normalized versions per source id (lockfiles are read once per run)
+const resolvedVersions = new Map();
+
+/**
+ * Version of a package in a lockfile; `path` is relative to the monitor directory
+ */
+function readLockfileVersion(lockfile, packageName) {
+  const manifest = readManifest(path.resolve(__dirname, '..', lockfile.path));
+  const found = manifest.dependencies.find(dependency =>
+    isSamePackage(manifest.ecosystem, dependency.name, packageName)
+  );
+  return found?.version || null;
+}
+
+/**
+ * Versions in use for a source, normalized ("v10.48.2" -> "10.48.2")
+ * Lockfiles that cannot be read are reported and skipped.
+ */
+function getInUseVersions(source) {
+  if (resolvedVersions.has(source.id)) {
+    return resolvedVersions.get(source.id);
+  }
+
+  const versions = [].concat(source.inUse || []).map(String);
+  const lockfiles = [].concat(source.lockfile || []);
+
+  lockfiles.forEach(lockfile => {
+    const packageName = lockfile.package || source.package;
+    try {
+      const version = readLockfileVersion(lockfile, packageName);
+      if (version) {
+        versions.push(version);
+      } else {
+        console.warn(`[${source.id}] ${packageName} not found in ${lockfile.path}`);
+      }
+    } catch (error) {
+      console.warn(`[${source.id}] Lockfile ${lockfile.path} could not be read:`, error.message);
+    }
+  });
+
+  const normalized = [...new Set(versions.map(extractVersion).filter(Boolean))];
+  resolvedVersions.set(source.id, normalized);
+  return normalized;
+}
+
+/**
+ * Release line of a version: the major version, or "0.minor" before 1.0 (semver)
+ */
+function getVersionLine(version) {
+  const [major = 0, minor = 0] = String(version).split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+  return major > 0 ? String(major) : `0.${minor}`;
+}
+
+/**
+ * Relationship of a released version to the versions we use, or null when unknown
+ *   { relation: 'ours' | 'older' | 'newer', line, ourLine, firstOfLine, linesBehind, backport }
+ * `latestVersion` (the newest version seen from the same source) marks releases on our
+ * line as backports and tells how many major lines we are behind.
+ */
+function getVersionRelationship(version, inUseVersions, latestVersion = null) {
+  const released = extractVersion(String(version || ''));
+  if (!released || inUseVersions.length === 0) return null;
+
+  const line = getVersionLine(released);
+  const ourLines = [...new Set(inUseVersions.map(getVersionLine))].sort(compareVersions);
+  const latest = extractVersion(String(latestVersion || ''));
+  const latestLine = latest ? getVersionLine(latest) : line;
+  const newestLine = compareVersions(latestLine, line) > 0 ? latestLine : line;
+
+  // Only 1.x and later lines count as whole majors
+  const majorsBehind = ourLine => (ourLine.startsWith('0.') || newestLine.startsWith('0.')
+    ? 0
+    : Math.max(Number(newestLine) - Number(ourLine), 0));
+  const newestOurLine = ourLines[ourLines.length - 1];
+
+  if (ourLines.includes(line)) {
+    return {
+      relation: 'ours',
+      line,
+      ourLine: line,
+      firstOfLine: false,
+      linesBehind: majorsBehind(line),
+      backport: compareVersions(newestLine, line) > 0
+    };
+  }
+
+  return {
+    relation: compareVersions(line, newestOurLine) < 0 ? 'older' : 'newer',
+    line,
+    ourLine: newestOurLine,
+    // X.0.0 (or 0.Y.0) opens a new line; later releases on a line we skip are noise
+    firstOfLine: /^\d+\.0(?:\.0)?$|^0\.\d+(?:\.0)?$/.test(released.split(/[-+]/)[0]),
+    linesBehind: majorsBehind(newestOurLine),
+    backport: false
+  };
+}
+
+module.exports = {
+  getInUseVersions,
+  getVersionRelationship
+};
@@ -0,0 +1,102 @@
+/**
+ * Line-based text diff and fingerprint helpers for change detection
+ */
+
+const crypto = require('crypto');
+
+// Upper bound on lines kept per snapshot (keeps state.json and the LCS table small)
+const MAX_SNAPSHOT_LINES = 2000;
+
+/**
+ * Normalize text lines: collapse whitespace, drop empty and duplicate-adjacent lines
+ */
+function normalizeLines(lines) {
+  const normalized = [];
+  lines.forEach(line => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text && text !== normalized[normalized.length - 1]) {
+      normalized.push(text);
+    }
+  });
+  return normalized.slice(0, MAX_SNAPSHOT_LINES);
+}
+
+/**
+ * SHA-256 fingerprint of normalized lines
+ */
+function fingerprintLines(lines) {
+  return crypto.createHash('sha256').update(lines.join('\n'), 'utf8').digest('hex');
+}
+
+/**
+ * Compute added/removed lines between two snapshots (LCS-based)
+ */
+function diffLines(oldLines = [], newLines = []) {
+  // Trim common prefix/suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  removed.push(...a.slice(i));
+  added.push(...b.slice(j));
+
+  return { added, removed };
+}
+
+/**
+ * Render a diff as compact "+ line" / "- line" text
+ */
+function formatDiff(diff, maxLines = 10, maxLineLength = 120) {
+  const lines = [
+    ...diff.removed.map(line => `- ${line}`),
+    ...diff.added.map(line => `+ ${line}`)
+  ];
+
+  const shown = lines.slice(0, maxLines).map(line =>
+    line.length > maxLineLength ? `${line.substring(0, maxLineLength)}…` : line
+  );
+  if (lines.length > maxLines) {
+    shown.push(`… (${lines.length - maxLines} more lines)`);
+  }
+  return shown.join('\n');
+}
+
+module.exports = {
+  normalizeLines,
+  fingerprintLines,
+  diffLines,
+  formatDiff
+};
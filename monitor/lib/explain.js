@@ -0,0 +1,113 @@
+/**
+ * Offline scoring checks (`run.js explain`)
+ * Scores hand-written items, saved item JSON or a labeled fixture set with the current
+ * config/scoring.json and shows how each severity came about. In regression mode each
+ * fixture's `expected` severity is compared with the current result.
+ *
+ * Fixture file: an array of items (or { "items": [...] }), each naming its source:
+ *   [{ "source": "laravel", "title": "v10.48.3", "version": "10.48.3", "expected": "medium" }]
+ */
+
+const fs = require('fs');
+const { SEVERITY_LEVELS, scoreAllItems, getScoringRules } = require('./scorer');
+
+const LEVELS = Object.values(SEVERITY_LEVELS);
+
+/**
+ * Items from a saved item (object) or a fixture file (array or { items })
+ */
+function readItems(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.items)) return data.items;
+  if (data && typeof data === 'object') return [data];
+  throw new Error(`${filePath}: expected an item, an array of items or { "items": [...] }`);
+}
+
+/**
+ * Score items the way a run does (items of one source share the latest version)
+ * `sourceId` applies to items without their own `source`; results keep the input order.
+ */
+function scoreItems(items, sources, sourceId = null) {
+  const grouped = {};
+
+  items.forEach((item, index) => {
+    const id = item.source || sourceId;
+    if (!id) {
+      throw new Error(`Item ${index + 1} has no "source" (pass --source <id>)`);
+    }
+    if (!sources.some(source => source.id === id)) {
+      throw new Error(`Unknown source: ${id}`);
+    }
+    if (item.expected !== undefined && !LEVELS.includes(item.expected)) {
+      throw new Error(`Item ${index + 1}: "expected" must be one of: ${LEVELS.join(', ')}`);
+    }
+
+    grouped[id] = grouped[id] || [];
+    grouped[id].push({ id: `fixture-${index + 1}`, title: '', ...item, source: id, fixtureIndex: index });
+  });
+
+  return scoreAllItems(grouped, sources).sort((a, b) => a.fixtureIndex - b.fixtureIndex);
+}
+
+function describeEntry(entry, isAdditional) {
+  switch (entry.factor) {
+    case 'keyword':
+      return `keyword "${entry.label}" (${entry.level} rule${isAdditional ? ', additional match' : ''})`;
+    case 'usage':
+      return `in use: ${entry.label}`;
+    case 'preset':
+      return `preset by fetcher: ${entry.label}`;
+    default:
+      return entry.label;
+  }
+}
+
+/**
+ * Lines explaining one scored item: severity, thresholds and every factor
+ */
+function formatExplanation(item) {
+  const { thresholds } = getScoringRules();
+  const lines = [
+    `[${item.source}] ${item.title}`,
+    `  severity: ${item.severity} (score ${item.score}; critical >= ${thresholds.critical}, high >= ${thresholds.high}, medium >= ${thresholds.medium})`
+  ];
+
+  let keywordSeen = false;
+  item.scoreBreakdown.forEach(entry => {
+    const isAdditional = entry.factor === 'keyword' && keywordSeen;
+    keywordSeen = keywordSeen || entry.factor === 'keyword';
+    const points = `${entry.points >= 0 ? '+' : ''}${entry.points}`.padStart(5);
+    lines.push(`  ${points}  ${describeEntry(entry, isAdditional)}`);
+  });
+
+  if (!item.scoreBreakdown.some(entry => entry.factor === 'keyword' || entry.factor === 'preset')) {
+    lines.push('         (no keyword rule matched)');
+  }
+  if (item.expected) {
+    lines.push(`  expected: ${item.expected}${item.expected === item.severity ? '' : ' (DRIFT)'}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Compare scored fixtures with their `expected` severity
+ * Returns { checked, unlabeled, drifted: [item] }
+ */
+function checkExpectations(scoredItems) {
+  const labeled = scoredItems.filter(item => item.expected);
+
+  return {
+    checked: labeled.length,
+    unlabeled: scoredItems.length - labeled.length,
+    drifted: labeled.filter(item => item.severity !== item.expected)
+  };
+}
+
+module.exports = {
+  readItems,
+  scoreItems,
+  formatExplanation,
+  checkExpectations
+};
@@ -1,88 +1,126 @@
-const https = require('https');
-const http = require('http');
+const { fetchUrl } = require('./http');
+const { extractVersion, isPrereleaseVersion, compareVersions } = require('./versions');
+const {
+  parseHTML,
+  matches,
+  querySelector,
+  querySelectorAll,
+  removeAll,
+  textContent,
+  textLines,
+  nextElementSiblings,
+  decodeHTMLEntities
+} = require('./html');
+const { normalizeLines, fingerprintLines, diffLines, formatDiff } = require('./diff');
+const { extractPdfText } = require('./pdf');
+const { findDate } = require('./dates');
+const {
+  fetchNpm,
+  fetchPyPI,
+  fetchPackagist,
+  fetchMaven,
+  fetchCocoaPods
+} = require('./registries');
+const { fetchZenn, fetchQiita } = require('./search');
+const { readMessages } = require('./mailbox');
+const { fetchStatuspage } = require('./statuspage');
+const { fetchAdvisories } = require('./advisories');
+const { fetchLifecycleRecords, checkDeadlines } = require('./lifecycle');
+const { loadPlugin, validateConfig, normalizeItems } = require('./plugins');
+const { normalizeUrl, createItemId, getFeedItemId, getHtmlItemId, getLegacyHtmlId, legacyHash } = require('./identity');
+const crypto = require('crypto');
 
 /**
- * Fetch URL content with timeout
+ * Per-source HTTP options (`http` in sources.json: timeout, retries, retryDelay, proxy, ...)
  */
-async function fetchUrl(url, options = {}) {
-  const timeout = options.timeout || 10000;
-  const maxSize = options.maxSize || 5 * 1024 * 1024; // 5MB default
-  const maxRedirects = options.maxRedirects || 5;
+function getHttpOptions(source, overrides = {}) {
+  return { ...(source.http || {}), ...overrides };
+}
 
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const client = urlObj.protocol === 'https:' ? https : http;
+// Items kept per source type unless `maxItems` is set in sources.json
+const DEFAULT_MAX_ITEMS = {
+  'rss': 20,
+  'github': 10,
+  'github-tags': 10,
+  'github-commits': 10,
+  'html': 5,
+  'npm': 10,
+  'pypi': 10,
+  'packagist': 10,
+  'maven': 10,
+  'cocoapods': 10,
+  'search-feed': 20,
+  'mailbox': 20,
+  'advisory': 50
+};
 
-    const req = client.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SDK-Monitor/1.0)',
-        ...options.headers
-      }
-    }, (res) => {
-      // Handle redirects (301, 302, 307, 308)
-      if ([301, 302, 307, 308].includes(res.statusCode)) {
-        const redirectUrl = res.headers.location;
-
-        if (!redirectUrl) {
-          reject(new Error(`Redirect without location header: ${url}`));
-          return;
-        }
-
-        // Check redirect limit
-        const redirectCount = options.redirectCount || 0;
-        if (redirectCount >= maxRedirects) {
-          reject(new Error(`Too many redirects (${maxRedirects}): ${url}`));
-          return;
-        }
-
-        // Follow redirect
-        const newUrl = redirectUrl.startsWith('http')
-          ? redirectUrl
-          : new URL(redirectUrl, url).href;
-
-        console.log(`Following redirect: ${url} -> ${newUrl}`);
-
-        // Recursive call with incremented redirect count
-        fetchUrl(newUrl, {
-          ...options,
-          redirectCount: redirectCount + 1
-        }).then(resolve).catch(reject);
-        return;
-      }
+// With `sinceLastRun`, fetchers look this far back for items published since the last run
+const SINCE_LAST_RUN_MAX_ITEMS = 100;
 
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}: ${url}`));
-        return;
-      }
+function getMaxItems(source) {
+  return source.maxItems || DEFAULT_MAX_ITEMS[source.type] || null;
+}
 
-      let data = '';
-      let size = 0;
-
-      res.on('data', chunk => {
-        size += chunk.length;
-        if (size > maxSize) {
-          req.destroy();
-          reject(new Error(`Response too large (>${maxSize} bytes): ${url}`));
-          return;
-        }
-        data += chunk;
-      });
+/**
+ * Number of entries a fetcher should request (wider than `maxItems` with `sinceLastRun`)
+ */
+function getFetchLimit(source) {
+  const maxItems = getMaxItems(source) || SINCE_LAST_RUN_MAX_ITEMS;
+  return source.sinceLastRun ? Math.max(maxItems, SINCE_LAST_RUN_MAX_ITEMS) : maxItems;
+}
 
-      res.on('end', () => resolve(data));
-    });
+/**
+ * Time the source was last fetched successfully, falling back to the previous run for
+ * states written before fetch results were recorded. Items published while a source was
+ * failing fall after this time, so they are still picked up once it recovers.
+ */
+function getLastRunTime(source, context) {
+  const previousState = context.previousState;
+  const time = Date.parse(previousState?.sources?.[source.id]?.fetch?.lastSuccess || previousState?.lastRun);
+  return Number.isNaN(time) ? null : time;
+}
 
-    req.on('error', reject);
-    req.setTimeout(timeout, () => {
-      req.destroy();
-      reject(new Error(`Timeout: ${url}`));
-    });
-  });
+/**
+ * Keep the first `maxItems` items, plus (with `sinceLastRun`) every item published after
+ * the source's last successful fetch so busy sources do not silently drop releases between runs
+ */
+function applyItemWindow(source, items, context = {}) {
+  const maxItems = getMaxItems(source);
+  if (!maxItems) return items;
+
+  const lastRun = source.sinceLastRun ? getLastRunTime(source, context) : null;
+  const kept = items.filter((item, index) =>
+    index < maxItems || (lastRun !== null && item.publishedAt > lastRun)
+  );
+
+  if (kept.length > maxItems) {
+    console.log(`[${source.id}] Keeping ${kept.length} items published since the last successful fetch (maxItems: ${maxItems})`);
+  }
+  return kept;
+}
+
+/**
+ * Detect feed format (RSS 2.0 / RDF or Atom)
+ */
+function detectFeedFormat(xml) {
+  const head = xml.substring(0, 2048);
+  if (/<feed[\s>]/i.test(head) && /<entry[\s>]/i.test(xml)) {
+    return 'atom';
+  }
+  return 'rss';
+}
+
+/**
+ * Parse RSS or Atom feed, normalizing entries to the same shape
+ */
+function parseFeed(xml, maxItems = 20) {
+  return detectFeedFormat(xml) === 'atom' ? parseAtom(xml, maxItems) : parseRSS(xml, maxItems);
 }
 
 /**
  * Simple XML/RSS parser (regex-based for zero dependencies)
  */
-function parseRSS(xml) {
+function parseRSS(xml, maxItems = 20) {
   const items = [];
 
   // Limit XML size to prevent memory issues
@@ -94,18 +132,19 @@ function parseRSS(xml) {
   const titleRegex = /<title[^>]*>([\s\S]*?)<\/title>/i;
   const linkRegex = /<link[^>]*>([\s\S]*?)<\/link>/i;
   const pubDateRegex = /<pubDate[^>]*>([\s\S]*?)<\/pubDate>/i;
+  const guidRegex = /<guid[^>]*>([\s\S]*?)<\/guid>/i;
   const descRegex = /<description[^>]*><!\[CDATA\[([\s\S]*?)\]\]><\/description>/i;
   const descRegex2 = /<description[^>]*>([\s\S]*?)<\/description>/i;
 
   let match;
   let count = 0;
-  const maxItems = 20; // Limit to prevent memory issues
 
   while ((match = itemRegex.exec(xml)) !== null && count < maxItems) {
     const itemXml = match[1];
     const title = (titleRegex.exec(itemXml)?.[1] || '').trim();
     const link = (linkRegex.exec(itemXml)?.[1] || '').trim();
     const pubDate = (pubDateRegex.exec(itemXml)?.[1] || '').trim();
+    const guid = stripCDATA((guidRegex.exec(itemXml)?.[1] || '').trim());
 
     let description = descRegex.exec(itemXml)?.[1] || descRegex2.exec(itemXml)?.[1] || '';
     description = description.replace(/<[^>]+>/g, '').trim();
@@ -116,7 +155,82 @@ function parseRSS(xml) {
         link: decodeHTMLEntities(link),
         description: decodeHTMLEntities(description.substring(0, 500)),
         pubDate,
-        date: pubDate ? new Date(pubDate).getTime() : Date.now()
+        date: pubDate ? new Date(pubDate).getTime() : Date.now(),
+        guid: guid ? decodeHTMLEntities(guid) : null
+      });
+      count++;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Simple Atom parser (regex-based for zero dependencies)
+ * Entries are normalized to the same shape as parseRSS output, plus `entryId`
+ */
+function parseAtom(xml, maxItems = 20) {
+  const items = [];
+
+  // Limit XML size to prevent memory issues
+  if (xml.length > 2 * 1024 * 1024) {
+    xml = xml.substring(0, 2 * 1024 * 1024);
+  }
+
+  const entryRegex = /<entry[^>]*>([\s\S]*?)<\/entry>/gi;
+  const titleRegex = /<title[^>]*>([\s\S]*?)<\/title>/i;
+  const idRegex = /<id[^>]*>([\s\S]*?)<\/id>/i;
+  const updatedRegex = /<updated[^>]*>([\s\S]*?)<\/updated>/i;
+  const publishedRegex = /<published[^>]*>([\s\S]*?)<\/published>/i;
+  const summaryRegex = /<summary([^>]*)>([\s\S]*?)<\/summary>/i;
+  const contentRegex = /<content([^>]*)>([\s\S]*?)<\/content>/i;
+  const linkTagRegex = /<link\b([^>]*?)\/?>/gi;
+
+  let match;
+  let count = 0;
+
+  while ((match = entryRegex.exec(xml)) !== null && count < maxItems) {
+    const entryXml = match[1];
+    const title = stripCDATA((titleRegex.exec(entryXml)?.[1] || '').trim());
+    const entryId = stripCDATA((idRegex.exec(entryXml)?.[1] || '').trim());
+    const published = (publishedRegex.exec(entryXml)?.[1] || '').trim();
+    const updated = (updatedRegex.exec(entryXml)?.[1] || '').trim();
+    const pubDate = published || updated;
+
+    // Prefer rel="alternate" (or no rel) over other link relations
+    let link = '';
+    let linkMatch;
+    linkTagRegex.lastIndex = 0;
+    while ((linkMatch = linkTagRegex.exec(entryXml)) !== null) {
+      const attrs = linkMatch[1];
+      const href = /href=["']([^"']+)["']/i.exec(attrs)?.[1];
+      const rel = /rel=["']([^"']+)["']/i.exec(attrs)?.[1] || 'alternate';
+      if (!href) continue;
+      if (rel === 'alternate') {
+        link = href;
+        break;
+      }
+      if (!link) link = href;
+    }
+
+    // Entities are decoded once, after CDATA and markup are stripped; escaped HTML
+    // (type="html") only shows its tags once decoded, so those are stripped afterwards
+    const summary = summaryRegex.exec(entryXml);
+    const body = summary?.[2] ? summary : contentRegex.exec(entryXml);
+    let description = decodeHTMLEntities(stripCDATA((body?.[2] || '').trim()).replace(/<[^>]+>/g, ''));
+    if (/type=["']html["']/i.test(body?.[1] || '')) {
+      description = description.replace(/<[^>]+>/g, '');
+    }
+    description = description.replace(/\s+/g, ' ').trim();
+
+    if (title && (link || entryId)) {
+      items.push({
+        title: decodeHTMLEntities(title),
+        link: decodeHTMLEntities(link || entryId),
+        description: description.substring(0, 500),
+        pubDate,
+        date: pubDate ? new Date(pubDate).getTime() : Date.now(),
+        entryId: entryId ? decodeHTMLEntities(entryId) : null
       });
       count++;
     }
@@ -128,10 +242,10 @@ function parseRSS(xml) {
 /**
  * Fetch RSS feed
  */
-async function fetchRSS(source) {
+async function fetchRSS(source, context = {}) {
   try {
-    const xml = await fetchUrl(source.url);
-    let items = parseRSS(xml);
+    const xml = await fetchUrl(source.url, getHttpOptions(source));
+    let items = parseFeed(xml, getFetchLimit(source));
 
     // Apply filter if specified
     if (source.filter) {
@@ -142,8 +256,10 @@ async function fetchRSS(source) {
     }
 
     // Normalize to common format
+    // Atom <id> or RSS <guid> when present, otherwise the normalized link
     return items.map(item => ({
-      id: hashString(item.link),
+      id: getFeedItemId(item),
+      legacyId: legacyHash(item.entryId || item.link),
       title: item.title,
       url: item.link,
       description: item.description.substring(0, 500),
@@ -153,25 +269,215 @@ async function fetchRSS(source) {
     }));
   } catch (error) {
     console.error(`[${source.id}] RSS fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
     return [];
   }
 }
 
+// GITHUB_API_URL is set by GitHub Actions (and points at the GHES API when applicable)
+const GITHUB_API_BASE = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+// Latest rate limit information reported by the GitHub API (shared across sources)
+const githubRateLimit = {
+  limit: null,
+  remaining: null,
+  reset: null,
+  authenticated: false
+};
+
 /**
- * Fetch GitHub releases
+ * Maximum seconds to wait for a GitHub rate limit reset before giving up
  */
-async function fetchGitHub(source) {
-  try {
-    const [owner, repo] = source.url.split('/');
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/releases`;
+function getGitHubMaxWait() {
+  const value = parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT || '60', 10);
+  return Number.isNaN(value) ? 60 : value;
+}
+
+/**
+ * Record X-RateLimit-* headers from a GitHub API response
+ */
+function updateGitHubRateLimit(headers = {}) {
+  if (headers['x-ratelimit-limit'] !== undefined) {
+    githubRateLimit.limit = parseInt(headers['x-ratelimit-limit'], 10);
+  }
+  if (headers['x-ratelimit-remaining'] !== undefined) {
+    githubRateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+  }
+  if (headers['x-ratelimit-reset'] !== undefined) {
+    githubRateLimit.reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+  }
+}
+
+/**
+ * Describe the rate limit state for logs and error messages
+ */
+function describeGitHubRateLimit() {
+  const resetAt = githubRateLimit.reset ? new Date(githubRateLimit.reset).toISOString() : 'unknown';
+  const hint = githubRateLimit.authenticated ? '' : ' - set GITHUB_TOKEN to raise the limit';
+  return `${githubRateLimit.remaining}/${githubRateLimit.limit} remaining, resets at ${resetAt}${hint}`;
+}
+
+/**
+ * Wait until the rate limit resets, or throw if the reset is too far away
+ */
+async function waitForGitHubRateLimit(waitMs) {
+  const maxWaitMs = getGitHubMaxWait() * 1000;
+
+  if (waitMs > maxWaitMs) {
+    throw new Error(`GitHub API rate limit exceeded (${describeGitHubRateLimit()})`);
+  }
+
+  console.warn(`GitHub API rate limit reached - waiting ${Math.ceil(waitMs / 1000)}s for reset`);
+  await new Promise(resolve => setTimeout(resolve, waitMs));
+}
 
-    const data = await fetchUrl(apiUrl, {
-      headers: { 'Accept': 'application/vnd.github.v3+json' }
+/**
+ * Call the GitHub REST API with token auth, ETag caching and rate limit handling
+ * Cached bodies are reused on 304 Not Modified (which does not count against the limit).
+ * With `options.immutable` (e.g. a commit by SHA), a cached body is reused without a request.
+ * `options.http` carries the source's HTTP options (timeouts, retries, proxy).
+ */
+async function fetchGitHubApi(apiPath, context = {}, options = {}) {
+  const url = `${GITHUB_API_BASE}${apiPath}`;
+  const httpCache = context.httpCache || {};
+  const token = process.env.GITHUB_TOKEN;
+
+  githubRateLimit.authenticated = Boolean(token);
+
+  if (options.immutable && httpCache[url]) {
+    httpCache[url].usedAt = new Date().toISOString();
+    return JSON.parse(httpCache[url].body);
+  }
+
+  // Known exhausted limit: wait for reset (or fail fast) instead of sending a request
+  if (githubRateLimit.remaining === 0 && githubRateLimit.reset > Date.now()) {
+    await waitForGitHubRateLimit(githubRateLimit.reset - Date.now() + 1000);
+  }
+
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const cached = httpCache[url];
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  let response;
+  try {
+    response = await fetchUrl(url, {
+      ...options.http,
+      headers,
+      acceptStatus: [200, 304],
+      fullResponse: true
     });
+  } catch (error) {
+    updateGitHubRateLimit(error.headers);
+
+    const retryAfter = parseInt(error.headers?.['retry-after'], 10);
+    const rateLimited = [403, 429].includes(error.statusCode) &&
+      (githubRateLimit.remaining === 0 || !Number.isNaN(retryAfter));
+
+    if (rateLimited && !options.retried) {
+      // Secondary limits send Retry-After; primary limits send X-RateLimit-Reset
+      const waitMs = !Number.isNaN(retryAfter)
+        ? retryAfter * 1000
+        : githubRateLimit.reset - Date.now() + 1000;
+      await waitForGitHubRateLimit(Math.max(waitMs, 0));
+      return fetchGitHubApi(apiPath, context, { ...options, retried: true });
+    }
+
+    if (rateLimited) {
+      throw new Error(`GitHub API rate limit exceeded (${describeGitHubRateLimit()})`);
+    }
+    if (error.statusCode === 401) {
+      throw new Error('GitHub API authentication failed (HTTP 401) - check GITHUB_TOKEN');
+    }
+    if (error.statusCode === 404) {
+      const hint = token ? '' : ' (private repositories require GITHUB_TOKEN)';
+      throw new Error(`GitHub resource not found or not accessible${hint}: ${apiPath}`);
+    }
+    throw error;
+  }
+
+  updateGitHubRateLimit(response.headers);
+
+  if (response.statusCode === 304 && cached) {
+    cached.usedAt = new Date().toISOString();
+    return JSON.parse(cached.body);
+  }
+
+  if (response.headers.etag) {
+    httpCache[url] = {
+      etag: response.headers.etag,
+      body: response.body,
+      usedAt: new Date().toISOString()
+    };
+  }
+
+  return JSON.parse(response.body);
+}
+
+/**
+ * Get the latest known GitHub API rate limit state
+ */
+function getGitHubRateLimit() {
+  return { ...githubRateLimit };
+}
+
+/**
+ * Split an `owner/repo` source URL
+ */
+function parseGitHubRepo(source) {
+  const [owner, repo] = source.url.split('/');
+  if (!owner || !repo) {
+    throw new Error(`Invalid GitHub repository (expected owner/repo): ${source.url}`);
+  }
+  return { owner, repo };
+}
+
+// Safety cap on pages fetched from a paginated GitHub list endpoint
+const MAX_GITHUB_PAGES = 10;
+
+/**
+ * Fetch a paginated GitHub list endpoint until `limit` entries are collected
+ * With `since` (ms), keeps paging while the oldest entry is still newer than `since`.
+ */
+async function fetchGitHubList(apiPath, context, { http, limit, since = null, getDate }) {
+  const perPage = Math.min(Math.max(limit, 30), 100);
+  const separator = apiPath.includes('?') ? '&' : '?';
+  const entries = [];
+
+  for (let page = 1; page <= MAX_GITHUB_PAGES; page++) {
+    const batch = await fetchGitHubApi(`${apiPath}${separator}per_page=${perPage}&page=${page}`, context, { http });
+    entries.push(...batch);
+
+    if (batch.length < perPage) break;
+    const oldest = batch.length > 0 ? getDate(batch[batch.length - 1]) : null;
+    if (entries.length >= limit && !(since !== null && oldest > since)) break;
+  }
+
+  return entries;
+}
 
-    const releases = JSON.parse(data);
+/**
+ * Fetch GitHub releases
+ */
+async function fetchGitHub(source, context = {}) {
+  try {
+    const { owner, repo } = parseGitHubRepo(source);
+    const releases = await fetchGitHubList(`/repos/${owner}/${repo}/releases`, context, {
+      http: source.http,
+      limit: getMaxItems(source),
+      since: source.sinceLastRun ? getLastRunTime(source, context) : null,
+      getDate: release => Date.parse(release.published_at || release.created_at)
+    });
 
-    return releases.slice(0, 10).map(release => ({
+    return releases.map(release => ({
       id: `github-${release.id}`,
       title: `${source.name} - ${release.tag_name}`,
       url: release.html_url,
@@ -184,78 +490,706 @@ async function fetchGitHub(source) {
     }));
   } catch (error) {
     console.error(`[${source.id}] GitHub fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
     return [];
   }
 }
 
 /**
- * Fetch HTML page and extract basic info
+ * Fetch GitHub tags (for repos that tag versions without publishing Releases)
+ * Tags are ordered by version, optionally filtered by `tagPattern` (regex). With
+ * `sinceLastRun`, tag names are kept in state and tags that appeared since the last
+ * successful fetch are reported beyond `maxItems` (whatever their version, so a backport
+ * cut after a newer release is not lost).
  */
-async function fetchHTML(source) {
+async function fetchGitHubTags(source, context = {}) {
+  const previous = getPreviousSourceData(source, context);
+
   try {
-    const html = await fetchUrl(source.url);
+    const { owner, repo } = parseGitHubRepo(source);
+    // The endpoint does not order tags by version: one page is enough for the newest
+    // versions, but finding every new tag needs all of them
+    const tags = await fetchGitHubList(`/repos/${owner}/${repo}/tags`, context, {
+      http: source.http,
+      limit: source.sinceLastRun ? MAX_GITHUB_PAGES * 100 : 100,
+      getDate: () => null
+    });
+
+    const tagPattern = source.tagPattern ? new RegExp(source.tagPattern) : null;
+    const candidates = tags
+      .filter(tag => !tagPattern || tagPattern.test(tag.name))
+      .map(tag => ({ tag, version: extractVersion(tag.name) }))
+      .filter(({ version }) => version)
+      .sort((a, b) => compareVersions(b.version, a.version));
+
+    let selected = candidates.slice(0, getMaxItems(source));
+    if (source.sinceLastRun) {
+      const known = new Set(previous?.tags || []);
+      const added = previous ? candidates.filter(({ tag }) => !known.has(tag.name)) : [];
+      // New tags first, so the item window keeps them even when their commits are old
+      selected = [...added, ...selected.filter(candidate => !added.includes(candidate))];
+      setSourceData(source, context, { tags: candidates.map(({ tag }) => tag.name) });
+    }
 
     const items = [];
+    for (const { tag, version } of selected) {
+      // The tags endpoint has no dates; commits are immutable, so lookups are cached for good
+      const commit = await fetchGitHubApi(
+        `/repos/${owner}/${repo}/commits/${tag.commit.sha}`,
+        context,
+        { immutable: true, http: source.http }
+      );
+      const date = commit.commit?.committer?.date || commit.commit?.author?.date;
+
+      items.push({
+        id: `github-tag-${owner}/${repo}@${tag.name}`,
+        title: `${source.name} - ${tag.name}`,
+        url: `https://github.com/${owner}/${repo}/releases/tag/${encodeURIComponent(tag.name)}`,
+        description: (commit.commit?.message || '').substring(0, 500),
+        publishedAt: date ? new Date(date).getTime() : Date.now(),
+        version,
+        prerelease: isPrereleaseVersion(tag.name),
+        source: source.id,
+        rawData: { name: tag.name, sha: tag.commit.sha }
+      });
+    }
 
-    // Strategy: Extract headings (h1-h4) and look for links within them
-    const headingRegex = /<h[1-4][^>]*>(.*?)<\/h[1-4]>/gi;
-    let match;
-    let headings = [];
+    return items;
+  } catch (error) {
+    if (previous) {
+      setSourceData(source, context, previous);
+    }
+    console.error(`[${source.id}] GitHub tags fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
 
-    while ((match = headingRegex.exec(html)) !== null) {
-      const headingHtml = match[1];
-      const headingText = headingHtml.replace(/<[^>]+>/g, '').trim();
+// Commit subjects that announce a release of the repository itself
+const RELEASE_COMMIT_PATTERN = /^(?:release\b|bump version|version\s+v?\d|v?\d+\.\d+)/i;
 
-      if (headingText.length < 5 || headingText.length > 200) {
-        continue;
-      }
+/**
+ * Fetch GitHub commits, optionally limited to a `branch` and/or `path`
+ */
+async function fetchGitHubCommits(source, context = {}) {
+  try {
+    const { owner, repo } = parseGitHubRepo(source);
+    const params = new URLSearchParams();
+    if (source.branch) params.set('sha', source.branch);
+    if (source.path) params.set('path', source.path);
 
-      // Look for link within this heading
-      const linkMatch = /<a[^>]*href=["']([^"']+)["'][^>]*>/i.exec(headingHtml);
-      let itemUrl = source.url; // Default to source URL
-
-      if (linkMatch) {
-        const href = linkMatch[1];
-
-        // Convert relative URL to absolute URL
-        try {
-          if (href.startsWith('http')) {
-            itemUrl = href;
-          } else if (href.startsWith('/')) {
-            const baseUrl = new URL(source.url);
-            itemUrl = `${baseUrl.protocol}//${baseUrl.host}${href}`;
-          } else if (!href.startsWith('#') && !href.startsWith('javascript:')) {
-            // Relative path
-            itemUrl = new URL(href, source.url).href;
-          }
-        } catch (e) {
-          console.error(`[${source.id}] Invalid URL in heading: ${href}`);
-        }
-      }
+    const query = params.toString();
+    const commits = await fetchGitHubList(`/repos/${owner}/${repo}/commits${query ? `?${query}` : ''}`, context, {
+      http: source.http,
+      limit: getMaxItems(source),
+      since: source.sinceLastRun ? getLastRunTime(source, context) : null,
+      getDate: commit => Date.parse(commit.commit?.committer?.date || commit.commit?.author?.date)
+    });
 
-      headings.push({
-        text: decodeHTMLEntities(headingText),
-        url: itemUrl,
-        position: match.index
-      });
+    return commits.map(commit => {
+      const message = commit.commit?.message || '';
+      const subject = message.split('\n')[0].trim();
+      const date = commit.commit?.committer?.date || commit.commit?.author?.date;
+      // Only release commits ("Release 1.9.0", "v1.9.0") name our version; others
+      // ("Bump lodash from 4.17.20 to 4.17.21") mention versions of something else
+      const version = RELEASE_COMMIT_PATTERN.test(subject) ? extractVersion(subject) : null;
+
+      return {
+        id: `github-commit-${commit.sha}`,
+        title: `${source.name} - ${subject}`,
+        url: commit.html_url,
+        description: message.substring(0, 500),
+        publishedAt: date ? new Date(date).getTime() : Date.now(),
+        version,
+        sha: commit.sha.substring(0, 7),
+        prerelease: isPrereleaseVersion(version),
+        source: source.id,
+        rawData: { sha: commit.sha, branch: source.branch || null, path: source.path || null }
+      };
+    });
+  } catch (error) {
+    console.error(`[${source.id}] GitHub commits fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+// Navigation and boilerplate removed before extraction unless `extract.exclude` overrides it
+const DEFAULT_HTML_EXCLUDE = ['script', 'style', 'noscript', 'nav', 'header', 'footer', 'aside'];
+
+// Legacy heading mode (no `extract`) only drops non-content elements: release headings
+// often sit in <article><header><h2>, which the full default list would remove
+const LEGACY_HTML_EXCLUDE = ['script', 'style', 'noscript'];
+
+const DEFAULT_HTML_ITEM_SELECTOR = 'h1, h2, h3, h4';
+
+/**
+ * Build extraction rules for an HTML source
+ * `extract` holds container/item/title/link/date/description selectors;
+ * the legacy `selector` field is treated as the container.
+ */
+function getExtractRules(source) {
+  const extract = source.extract || {};
+  // Change detection fingerprints the whole container, so boilerplate is stripped there too
+  const defaultExclude = source.extract || source.mode === 'change' ? DEFAULT_HTML_EXCLUDE : LEGACY_HTML_EXCLUDE;
+  const exclude = extract.exclude === undefined ? defaultExclude : extract.exclude;
+
+  return {
+    container: extract.container || source.selector || null,
+    item: extract.item || DEFAULT_HTML_ITEM_SELECTOR,
+    title: extract.title || null,
+    link: extract.link || null,
+    date: extract.date || null,
+    dateFormat: extract.dateFormat || source.dateFormat || null,
+    description: extract.description || null,
+    section: Boolean(extract.section),
+    exclude: Array.isArray(exclude) ? exclude : [exclude],
+    structured: Boolean(source.extract)
+  };
+}
+
+/**
+ * Resolve an href against the page URL (fragment-only and javascript: links are ignored)
+ */
+function resolveLink(href, baseUrl) {
+  if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+    return null;
+  }
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Text of the siblings following a section heading, up to the next item
+ */
+function getSectionText(element, itemSelector) {
+  const chunks = [];
+  for (const sibling of nextElementSiblings(element)) {
+    if (matches(sibling, itemSelector) || querySelector(sibling, itemSelector)) break;
+    chunks.push(textContent(sibling));
+    if (chunks.join(' ').length > 500) break;
+  }
+  return chunks.filter(Boolean).join(' ').substring(0, 500);
+}
+
+/**
+ * Date of a node: its `datetime` attribute (always ISO) or a date in its text
+ */
+function getNodeDate(node, format) {
+  if (!node) return null;
+  return findDate(node.attrs.datetime) ?? findDate(textContent(node), format);
+}
+
+/**
+ * Publish date near an entry, or null when the page does not show one
+ * Looks at the `date` rule, then <time datetime> and dates in the item itself,
+ * then the siblings up to the next item (section body under a heading).
+ */
+function findEntryDate(element, rules) {
+  if (rules.date) {
+    return getNodeDate(querySelector(element, rules.date), rules.dateFormat);
+  }
+
+  const nodes = [element];
+  for (const sibling of nextElementSiblings(element)) {
+    if (matches(sibling, rules.item) || querySelector(sibling, rules.item)) break;
+    nodes.push(sibling);
+    if (nodes.length > 5) break;
+  }
+
+  for (const node of nodes) {
+    const time = matches(node, 'time[datetime]') ? node : querySelector(node, 'time[datetime]');
+    const publishedAt = getNodeDate(time, rules.dateFormat) ?? findDate(textContent(node), rules.dateFormat);
+    if (publishedAt !== null) return publishedAt;
+  }
+  return null;
+}
+
+/**
+ * Extract one entry from a matched item element
+ */
+function extractHTMLEntry(element, rules, source) {
+  const titleNode = rules.title ? querySelector(element, rules.title) : element;
+  const title = textContent(titleNode);
+
+  // Link: explicit sub-selector, the item itself when it is a link, or the first link inside
+  let linkNode = null;
+  if (rules.link) {
+    linkNode = matches(element, rules.link) ? element : querySelector(element, rules.link);
+  } else if (element.tag === 'a') {
+    linkNode = element;
+  } else {
+    linkNode = querySelector(element, 'a[href]');
+  }
+  let url = resolveLink(linkNode?.attrs.href, source.url);
+  if (!url && rules.structured && element.attrs.id) {
+    url = `${source.url.split('#')[0]}#${element.attrs.id}`;
+  }
+
+  const publishedAt = findEntryDate(element, rules);
+
+  let description = null;
+  if (rules.description) {
+    description = textContent(querySelector(element, rules.description)).substring(0, 500);
+  } else if (rules.section) {
+    description = getSectionText(element, rules.item);
+  }
+
+  return { title, url: url || source.url, publishedAt, description };
+}
+
+/**
+ * Previous per-source data saved in state.json (snapshots, fingerprints, etc.)
+ */
+function getPreviousSourceData(source, context) {
+  return context.previousState?.sources?.[source.id]?.data || null;
+}
+
+/**
+ * Per-source data to persist in state.json for the next run
+ */
+function setSourceData(source, context, data) {
+  if (context.sourceData) {
+    context.sourceData[source.id] = data;
+  }
+}
+
+/**
+ * Record how fetching a source went, apart from its items: 'ok', 'empty' or 'failed'
+ * (run.js keeps the previous state of sources that failed or came back empty)
+ */
+function setFetchStatus(source, context, status, error = null) {
+  if (context.fetchStatus) {
+    context.fetchStatus[source.id] = { status, error: error ? error.message : null };
+  }
+}
+
+/**
+ * Compare normalized lines with the previous snapshot and emit a single change item
+ * The item ID follows the fingerprint, so it is only "new" when the content changes.
+ * The first snapshot of a source is recorded silently (like status pages), so adding a
+ * source does not report it as changed.
+ */
+function detectContentChange(source, lines, context, extra = {}) {
+  // `ignorePatterns` strip volatile text (relative dates, counters) before fingerprinting
+  const ignore = (source.ignorePatterns || []).map(pattern => new RegExp(pattern, 'gi'));
+  const normalized = normalizeLines(
+    lines.map(line => ignore.reduce((text, regex) => text.replace(regex, ''), line))
+  );
+  const fingerprint = fingerprintLines(normalized);
+  const previous = getPreviousSourceData(source, context);
+
+  if (!previous?.lines) {
+    console.log(`[${source.id}] Recorded initial snapshot (${normalized.length} lines)`);
+    setSourceData(source, context, { ...extra.data, fingerprint, lines: normalized, initial: true });
+    return [];
+  }
+
+  let snapshot;
+  let diff = null;
+
+  if (previous.fingerprint === fingerprint) {
+    snapshot = { ...previous, ...extra.data, lines: normalized };
+  } else {
+    diff = diffLines(previous.lines, normalized);
+    snapshot = {
+      ...extra.data,
+      fingerprint,
+      lines: normalized,
+      changedAt: Date.now(),
+      title: `${source.name} - content changed (+${diff.added.length}/-${diff.removed.length} lines)`,
+      description: formatDiff(diff) || 'Whitespace or ordering changes only'
+    };
+  }
+
+  setSourceData(source, context, snapshot);
+
+  // Unchanged since the silent first snapshot
+  if (snapshot.initial) return [];
+
+  return [{
+    id: `${source.id}:${fingerprint.substring(0, 16)}`,
+    title: snapshot.title,
+    url: source.url,
+    description: snapshot.description.substring(0, 500),
+    publishedAt: snapshot.changedAt,
+    source: source.id,
+    diff: diff ? { added: diff.added.slice(0, 50), removed: diff.removed.slice(0, 50) } : null,
+    rawData: { fingerprint, lineCount: normalized.length }
+  }];
+}
+
+/**
+ * Extract entries from an HTML page using the source's extraction rules
+ * Without `extract`, headings (h1-h4) inside the container are used as entries.
+ * With `mode: "change"`, the container text is fingerprinted and diffed instead.
+ */
+function extractHTMLItems(source, html, context = {}) {
+  const rules = getExtractRules(source);
+  const document = parseHTML(html);
+
+  rules.exclude.forEach(selector => removeAll(document, selector));
+
+  const containers = rules.container
+    ? querySelectorAll(document, rules.container)
+    : [document];
+
+  if (containers.length === 0) {
+    throw new Error(`Container not found: ${rules.container}`);
+  }
+
+  if (source.mode === 'change') {
+    return detectContentChange(source, containers.flatMap(textLines), context);
+  }
+
+  let entries = [];
+  containers.forEach(container => {
+    querySelectorAll(container, rules.item).forEach(element => {
+      const entry = extractHTMLEntry(element, rules, source);
+      // Legacy heading mode skips short headings; explicit rules only need a title
+      const minLength = rules.structured ? 1 : 5;
+      if (entry.title.length < minLength || entry.title.length > 200) return;
+      // First-scheme IDs hashed the heading's raw markup (see getLegacyHtmlId)
+      entry.legacyId = element.end !== undefined
+        ? getLegacyHtmlId(source.url, html.substring(element.start, element.end))
+        : legacyHash(`${entry.url}-${entry.title}`);
+      entries.push(entry);
+    });
+  });
+
+  if (source.filter) {
+    entries = entries.filter(entry =>
+      entry.title.includes(source.filter) ||
+      (entry.description || '').includes(source.filter)
+    );
+  }
+
+  // Entries sharing a link would share an ID, so newer ones would look already seen
+  const pageUrl = normalizeUrl(source.url, { fragment: true });
+  const links = entries.map(entry => normalizeUrl(entry.url, { fragment: true }))
+    .filter(link => link && link !== pageUrl);
+  if (source.itemId !== 'title' && new Set(links).size < links.length) {
+    console.warn(`[${source.id}] Several entries share a link - set "itemId": "title" to identify them by title`);
+  }
+
+  // Entries beyond the fetch limit are dropped; applyItemWindow trims the rest to `maxItems`
+  return entries.slice(0, getFetchLimit(source)).map(entry => ({
+    id: getHtmlItemId(source, entry),
+    legacyId: entry.legacyId,
+    title: entry.title,
+    url: entry.url,
+    description: entry.description || `Update from ${source.name}`,
+    publishedAt: entry.publishedAt,
+    dateUnknown: entry.publishedAt === null,
+    source: source.id,
+    rawData: entry
+  }));
+}
+
+/**
+ * Fetch an HTML page and extract its entries (see extractHTMLItems)
+ */
+async function fetchHTML(source, context = {}) {
+  try {
+    const html = await fetchUrl(source.url, getHttpOptions(source));
+    return extractHTMLItems(source, html, context);
+  } catch (error) {
+    console.error(`[${source.id}] HTML fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch a PDF document and detect changes in its text
+ * The document hash and revision date (PDF ModDate or Last-Modified) are kept in state.
+ */
+async function fetchPDF(source, context = {}) {
+  try {
+    const response = await fetchUrl(source.url, getHttpOptions(source, {
+      binary: true,
+      fullResponse: true,
+      maxSize: source.http?.maxSize || 20 * 1024 * 1024
+    }));
+
+    const hash = crypto.createHash('sha256').update(response.body).digest('hex');
+    const pdf = extractPdfText(response.body);
+    const lastModified = response.headers['last-modified']
+      ? new Date(response.headers['last-modified']).getTime()
+      : null;
+    const revisionDate = pdf.info.modDate || lastModified;
+    const revision = revisionDate ? new Date(revisionDate).toISOString() : 'unknown';
+
+    // Scanned or unmappable documents have no text; fall back to the binary hash
+    let lines = pdf.lines;
+    if (lines.length === 0) {
+      console.warn(`[${source.id}] No extractable text - comparing document hash only`);
+      lines = [`Document hash: ${hash}`, `Revision: ${revision}`];
     }
 
-    // Get first 5 headings as potential updates
-    headings.slice(0, 5).forEach((heading, idx) => {
-      items.push({
-        id: hashString(`${heading.url}-${heading.text}`),
-        title: heading.text,
-        url: heading.url,
-        description: `Update from ${source.name}`,
-        publishedAt: Date.now() - (idx * 86400000), // Estimate: newer first
+    const items = detectContentChange(source, lines, context, {
+      data: { hash, revisionDate, pageCount: pdf.pageCount }
+    });
+
+    return items.map(item => ({
+      ...item,
+      description: `Revision: ${revision} (${pdf.pageCount} pages)\n${item.description}`.substring(0, 500),
+      rawData: { ...item.rawData, hash, revisionDate, title: pdf.info.title }
+    }));
+  } catch (error) {
+    console.error(`[${source.id}] PDF fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch versions from a package registry
+ */
+async function fetchRegistry(source, fetcher, context = {}) {
+  // Fetchers that make conditional requests keep their validators in `state.data`
+  const state = { previous: getPreviousSourceData(source, context) };
+  try {
+    const items = await fetcher({ ...source, maxItems: getFetchLimit(source) }, state);
+    if (state.data) {
+      setSourceData(source, context, state.data);
+    }
+    return items;
+  } catch (error) {
+    console.error(`[${source.id}] ${source.type} registry fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+/**
+ * Read announcements delivered by email from a local Maildir or mbox
+ */
+async function fetchMailbox(source, context = {}) {
+  try {
+    return readMessages({ ...source, maxItems: getFetchLimit(source) }).map(message => {
+      // Message-ID is stable across Maildir renames (new/ -> cur/) and mbox rewrites
+      const key = message.messageId || `${message.from}|${message.date}|${message.subject}`;
+
+      return {
+        id: createItemId('mail', source.id, key),
+        legacyId: `mail-${legacyHash(`${source.id}|${key}`)}`,
+        title: `${source.name} - ${message.subject}`,
+        url: message.url,
+        description: [
+          `From: ${message.from}`,
+          message.attachmentSummary.length > 0 ? `Attachments: ${message.attachmentSummary.join(', ')}` : null,
+          message.text.replace(/\s+/g, ' ').trim()
+        ].filter(Boolean).join('\n').substring(0, 500),
+        publishedAt: message.date,
+        attachments: message.attachments,
         source: source.id,
-        rawData: heading
-      });
+        rawData: { messageId: message.messageId, from: message.from, subject: message.subject }
+      };
+    });
+  } catch (error) {
+    console.error(`[${source.id}] Mailbox read failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+// Advisory IDs remembered per advisory source (OSV results are not ordered by discovery)
+const MAX_SEEN_ADVISORIES = 2000;
+
+/**
+ * Fetch security advisories (OSV schema) for the configured packages
+ * The first run records the advisories that already exist without reporting them, like
+ * status pages do; later runs report advisories not seen before.
+ */
+async function fetchAdvisory(source, context = {}) {
+  const previous = getPreviousSourceData(source, context);
+
+  try {
+    const advisories = await fetchAdvisories({ ...source, maxItems: getFetchLimit(source) });
+    const seen = new Set(previous?.seen || []);
+    const unseen = advisories.filter(item => !seen.has(item.id));
+
+    setSourceData(source, context, {
+      seen: [...unseen.map(item => item.id), ...(previous?.seen || [])].slice(0, MAX_SEEN_ADVISORIES)
     });
 
+    if (!previous) {
+      console.log(`[${source.id}] Recorded ${advisories.length} existing advisories (reported from the next run)`);
+      return [];
+    }
+    return unseen;
+  } catch (error) {
+    // Keep the seen list so a failed run does not re-report old advisories
+    if (previous) {
+      setSourceData(source, context, previous);
+    }
+    console.error(`[${source.id}] Advisory fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+/**
+ * Track incident lifecycles on a Statuspage-compatible status page
+ */
+async function fetchStatus(source, context = {}) {
+  const previous = getPreviousSourceData(source, context);
+
+  try {
+    const { items, data } = await fetchStatuspage(source, previous);
+    setSourceData(source, context, data);
     return items;
   } catch (error) {
-    console.error(`[${source.id}] HTML fetch failed:`, error.message);
+    // Keep incident states so the next successful run still detects transitions, but not
+    // the ongoing list: it would be shown as current although nobody could check it
+    if (previous) {
+      setSourceData(source, context, { ...previous, ongoing: [], degradedComponents: [] });
+    }
+    console.error(`[${source.id}] Statuspage fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+/**
+ * Warn about approaching end-of-life deadlines for versions in use
+ * Records are kept in state, so deadlines are still checked when the record source is down.
+ */
+async function fetchLifecycle(source, context = {}) {
+  const previous = getPreviousSourceData(source, context);
+  let records;
+
+  try {
+    records = await fetchLifecycleRecords(source);
+    setSourceData(source, context, { records, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`[${source.id}] Lifecycle fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    if (!previous) return [];
+    setSourceData(source, context, previous);
+    records = previous.records || [];
+  }
+
+  return checkDeadlines(source, records);
+}
+
+// Article IDs remembered per search feed (results reorder, so old articles can resurface)
+const MAX_SEEN_ARTICLES = 500;
+
+const SEARCH_SITES = {
+  zenn: fetchZenn,
+  qiita: fetchQiita
+};
+
+/**
+ * Fetch articles from a site's search feed, skipping articles seen in earlier runs
+ * The first run records the current results without reporting them, like status pages.
+ */
+async function fetchSearchFeed(source, context = {}) {
+  const previous = getPreviousSourceData(source, context);
+  const seen = previous?.seen || [];
+
+  try {
+    const fetcher = SEARCH_SITES[source.site];
+    if (!fetcher) {
+      throw new Error(`Unknown search site: ${source.site} (expected ${Object.keys(SEARCH_SITES).join(', ')})`);
+    }
+
+    const seenIds = new Set(seen);
+    const articles = await fetcher({ ...source, maxItems: getFetchLimit(source) });
+    const unseen = articles.filter(article => !seenIds.has(article.id));
+
+    setSourceData(source, context, {
+      seen: [...unseen.map(article => article.id), ...seen].slice(0, MAX_SEEN_ARTICLES)
+    });
+
+    if (!previous) {
+      console.log(`[${source.id}] Recorded ${unseen.length} existing articles (reported from the next run)`);
+      return [];
+    }
+
+    return unseen.map(article => ({
+      ...article,
+      title: `${source.name} - ${article.title}`,
+      description: (article.description || '').substring(0, 500),
+      source: source.id
+    }));
+  } catch (error) {
+    // Keep the seen list so a failed run does not re-notify old articles
+    if (previous) {
+      setSourceData(source, context, previous);
+    }
+    console.error(`[${source.id}] Search feed fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
+    return [];
+  }
+}
+
+// Built-in source types; any other type is resolved as a plugin (see lib/plugins.js)
+const BUILTIN_FETCHERS = {
+  'rss': fetchRSS,
+  'github': fetchGitHub,
+  'github-tags': fetchGitHubTags,
+  'github-commits': fetchGitHubCommits,
+  'html': fetchHTML,
+  'pdf': fetchPDF,
+  'npm': (source, context) => fetchRegistry(source, fetchNpm, context),
+  'pypi': (source, context) => fetchRegistry(source, fetchPyPI, context),
+  'packagist': (source, context) => fetchRegistry(source, fetchPackagist, context),
+  'maven': (source, context) => fetchRegistry(source, fetchMaven, context),
+  'cocoapods': (source, context) => fetchRegistry(source, fetchCocoaPods, context),
+  'advisory': fetchAdvisory,
+  'statuspage': fetchStatus,
+  'lifecycle': fetchLifecycle,
+  'mailbox': fetchMailbox,
+  'search-feed': fetchSearchFeed,
+  'reference': async source => {
+    console.log(`[${source.id}] Reference only - manual check required`);
+    return [];
+  }
+};
+
+/**
+ * Helpers handed to plugin fetch functions
+ * Plugins get the shared HTTP client (with the source's `http` options applied),
+ * the HTML parser and their own persisted data, but not the raw fetch context.
+ */
+function createPluginHelpers(source, context) {
+  return {
+    fetchUrl: (url, options = {}) => fetchUrl(url, getHttpOptions(source, options)),
+    parseFeed,
+    html: { parseHTML, querySelector, querySelectorAll, textContent, textLines },
+    getPreviousData: () => getPreviousSourceData(source, context),
+    setData: data => setSourceData(source, context, data)
+  };
+}
+
+/**
+ * Fetch a source through its plugin; plugin errors are isolated like built-in fetchers
+ */
+async function fetchPluginSource(source, context = {}) {
+  try {
+    const plugin = loadPlugin(source.type);
+    if (!plugin) {
+      console.log(`[${source.id}] Unknown type: ${source.type}`);
+      setFetchStatus(source, context, 'failed', new Error(`Unknown type: ${source.type}`));
+      return [];
+    }
+
+    const { source: resolved, errors } = validateConfig(source, plugin.schema);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config: ${errors.join('; ')}`);
+    }
+
+    const items = await plugin.fetch(resolved, createPluginHelpers(resolved, context));
+    return normalizeItems(source, items);
+  } catch (error) {
+    console.error(`[${source.id}] Plugin ${source.type} fetch failed:`, error.message);
+    setFetchStatus(source, context, 'failed', error);
     return [];
   }
 }
@@ -263,7 +1197,7 @@ async function fetchHTML(source) {
 /**
  * Main fetcher - routes to appropriate handler
  */
-async function fetchSource(source) {
+async function fetchSource(source, context = {}) {
   if (!source.enabled) {
     console.log(`[${source.id}] Skipped (disabled)`);
     return [];
@@ -271,26 +1205,23 @@ async function fetchSource(source) {
 
   console.log(`[${source.id}] Fetching ${source.type}...`);
 
-  switch (source.type) {
-    case 'rss':
-      return await fetchRSS(source);
-    case 'github':
-      return await fetchGitHub(source);
-    case 'html':
-      return await fetchHTML(source);
-    case 'reference':
-      console.log(`[${source.id}] Reference only - manual check required`);
-      return [];
-    default:
-      console.log(`[${source.id}] Unknown type: ${source.type}`);
-      return [];
+  const fetcher = BUILTIN_FETCHERS[source.type] || fetchPluginSource;
+  const items = await fetcher(source, context);
+
+  // Fetchers catch their own errors and return [], marking the source as failed
+  if (context.fetchStatus?.[source.id]?.status !== 'failed') {
+    setFetchStatus(source, context, items.length > 0 ? 'ok' : 'empty');
   }
+  return applyItemWindow(source, items, context);
 }
 
 /**
  * Fetch all sources with concurrency control
+ * `context.httpCache` holds conditional request (ETag) entries shared across runs,
+ * `context.previousState` is the loaded state.json, and fetchers write per-source
+ * data to persist (e.g. content snapshots) into `context.sourceData`.
  */
-async function fetchAllSources(sources, concurrency = 2) {
+async function fetchAllSources(sources, concurrency = 2, context = {}) {
   const results = {};
 
   // Process sources sequentially in small batches to avoid memory issues
@@ -298,12 +1229,13 @@ async function fetchAllSources(sources, concurrency = 2) {
     const batch = sources.slice(i, i + concurrency);
 
     const batchPromises = batch.map(source =>
-      fetchSource(source)
+      fetchSource(source, context)
         .then(items => {
           results[source.id] = items;
         })
         .catch(err => {
           console.error(`[${source.id}] Fatal error:`, err.message);
+          setFetchStatus(source, context, 'failed', err);
           results[source.id] = [];
         })
     );
@@ -320,30 +1252,14 @@ async function fetchAllSources(sources, concurrency = 2) {
 }
 
 // Utility functions
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
-}
-
-function decodeHTMLEntities(text) {
-  const entities = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#39;': "'",
-    '&apos;': "'"
-  };
-  return text.replace(/&[a-z0-9#]+;/gi, match => entities[match] || match);
+function stripCDATA(text) {
+  return text.replace(/^<!\[CDATA\[([\s\S]*?)\]\]>$/, '$1');
 }
 
 module.exports = {
   fetchSource,
   fetchAllSources,
-  fetchUrl
+  extractHTMLItems,
+  fetchUrl,
+  getGitHubRateLimit
 };
@@ -0,0 +1,451 @@
+/**
+ * Minimal HTML parser and CSS selector engine (zero dependencies)
+ * Tolerant enough for vendor release-note pages; no scripting or layout.
+ *
+ * Supported selectors: tag, *, #id, .class, [attr], [attr=v], [attr^=v], [attr$=v],
+ * [attr*=v], [attr~=v], descendant (space), child (>), and comma-separated groups.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that break text flow (separated by whitespace when flattened to text)
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul', 'br'
+]);
+
+// Opening one of these implicitly closes an open element of the listed tags
+const IMPLICIT_CLOSE = {
+  p: ['p'],
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+  thead: ['tbody', 'tfoot'],
+  tbody: ['thead', 'tbody', 'tfoot'],
+  tfoot: ['thead', 'tbody']
+};
+
+// Implicit closing never crosses these boundaries
+const SCOPE_BOUNDARIES = new Set(['table', 'ul', 'ol', 'dl', 'select', 'div', 'section', 'article', 'body']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  middot: '·',
+  bull: '•',
+  rarr: '→',
+  larr: '←'
+};
+
+/**
+ * Decode named and numeric HTML entities
+ */
+function decodeHTMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+function createElement(tag, attrs, parent) {
+  return { type: 'element', tag, attrs, children: [], parent };
+}
+
+/**
+ * Parse attribute string into a lowercase-keyed map
+ */
+function parseAttributes(attrString) {
+  const attrs = {};
+  const attrRegex = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = attrRegex.exec(attrString)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!(name in attrs)) {
+      attrs[name] = decodeHTMLEntities(value);
+    }
+  }
+
+  return attrs;
+}
+
+/**
+ * Parse HTML into a tree of { type, tag, attrs, children, parent } nodes
+ * The returned root is a pseudo-element with tag '#document'. Elements closed by an end
+ * tag also carry `start`/`end`, the offsets of their content (inner HTML) in `html`.
+ */
+function parseHTML(html) {
+  const root = createElement('#document', {}, null);
+  const stack = [root];
+  const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/\s*([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+  const current = () => stack[stack.length - 1];
+  const appendText = (text) => {
+    if (text) {
+      current().children.push({ type: 'text', text: decodeHTMLEntities(text), parent: current() });
+    }
+  };
+
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenRegex.exec(html)) !== null) {
+    appendText(html.substring(lastIndex, match.index));
+    lastIndex = tokenRegex.lastIndex;
+
+    const [, closeTag, openTag, attrString, selfClosing] = match;
+
+    if (openTag) {
+      const tag = openTag.toLowerCase();
+
+      // Close implicitly terminated siblings (e.g. <li> after an open <li>)
+      const closes = IMPLICIT_CLOSE[tag];
+      if (closes) {
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (closes.includes(stack[i].tag)) {
+            stack.length = i;
+            break;
+          }
+          if (SCOPE_BOUNDARIES.has(stack[i].tag)) break;
+        }
+      }
+
+      const element = createElement(tag, parseAttributes(attrString || ''), current());
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const endRegex = new RegExp(`</${tag}\\s*>`, 'ig');
+        endRegex.lastIndex = lastIndex;
+        const end = endRegex.exec(html);
+        const rawEnd = end ? end.index : html.length;
+        const rawText = html.substring(lastIndex, rawEnd);
+        if (rawText) {
+          element.children.push({
+            type: 'text',
+            text: tag === 'title' || tag === 'textarea' ? decodeHTMLEntities(rawText) : rawText,
+            parent: element
+          });
+        }
+        lastIndex = end ? endRegex.lastIndex : html.length;
+        tokenRegex.lastIndex = lastIndex;
+      } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        element.start = lastIndex;
+        stack.push(element);
+      }
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      // Pop up to the matching open element; stray end tags are ignored
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) {
+          stack[i].end = match.index;
+          stack.length = i;
+          break;
+        }
+      }
+    }
+  }
+
+  appendText(html.substring(lastIndex));
+  return root;
+}
+
+/**
+ * Parse a selector group string into a list of complex selectors
+ * Each complex selector is a list of { combinator, compound } from left to right.
+ */
+function parseSelector(selector) {
+  const groups = [];
+  let parts = [];
+  let combinator = null;
+  let i = 0;
+
+  const fail = () => {
+    throw new Error(`Unsupported selector: ${selector}`);
+  };
+
+  const readIdent = () => {
+    const match = /^[\w-]+/.exec(selector.substring(i));
+    if (!match) fail();
+    i += match[0].length;
+    return match[0];
+  };
+
+  const pushCompound = (compound) => {
+    parts.push({ combinator: parts.length === 0 ? null : (combinator || ' '), compound });
+    combinator = null;
+  };
+
+  while (i < selector.length) {
+    const ch = selector[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      if (parts.length > 0 && combinator === null) combinator = ' ';
+      continue;
+    }
+
+    if (ch === '>') {
+      combinator = '>';
+      i++;
+      continue;
+    }
+
+    if (ch === ',') {
+      if (parts.length === 0) fail();
+      groups.push(parts);
+      parts = [];
+      combinator = null;
+      i++;
+      continue;
+    }
+
+    // Compound selector: tag/universal followed by #id, .class and [attr] parts
+    const compound = { tag: null, id: null, classes: [], attrs: [] };
+
+    if (ch === '*') {
+      i++;
+    } else if (/[\w-]/.test(ch)) {
+      compound.tag = readIdent().toLowerCase();
+    }
+
+    while (i < selector.length && /[#.[]/.test(selector[i])) {
+      const prefix = selector[i++];
+
+      if (prefix === '#') {
+        compound.id = readIdent();
+      } else if (prefix === '.') {
+        compound.classes.push(readIdent());
+      } else {
+        const attrMatch = /^\s*([\w-:]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/.exec(selector.substring(i));
+        if (!attrMatch) fail();
+        i += attrMatch[0].length;
+        compound.attrs.push({
+          name: attrMatch[1].toLowerCase(),
+          op: attrMatch[2] || null,
+          value: attrMatch[3] ?? attrMatch[4] ?? attrMatch[5] ?? null
+        });
+      }
+    }
+
+    if (!compound.tag && !compound.id && compound.classes.length === 0 &&
+        compound.attrs.length === 0 && ch !== '*') {
+      fail();
+    }
+
+    pushCompound(compound);
+  }
+
+  if (parts.length === 0) fail();
+  groups.push(parts);
+  return groups;
+}
+
+function matchesCompound(node, compound) {
+  if (node.type !== 'element' || node.tag === '#document') return false;
+  if (compound.tag && node.tag !== compound.tag) return false;
+  if (compound.id && node.attrs.id !== compound.id) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (node.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(cls => classes.includes(cls))) return false;
+  }
+
+  return compound.attrs.every(({ name, op, value }) => {
+    const actual = node.attrs[name];
+    if (actual === undefined) return false;
+    switch (op) {
+      case null: return true;
+      case '=': return actual === value;
+      case '^=': return value !== '' && actual.startsWith(value);
+      case '$=': return value !== '' && actual.endsWith(value);
+      case '*=': return value !== '' && actual.includes(value);
+      case '~=': return actual.split(/\s+/).includes(value);
+      case '|=': return actual === value || actual.startsWith(`${value}-`);
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Match a complex selector right-to-left, staying within `scope`
+ */
+function matchesComplex(node, parts, index, scope) {
+  if (!matchesCompound(node, parts[index].compound)) return false;
+  if (index === 0) return true;
+
+  const { combinator } = parts[index];
+  let ancestor = node.parent;
+
+  if (combinator === '>') {
+    return Boolean(ancestor) && ancestor !== scope && matchesComplex(ancestor, parts, index - 1, scope);
+  }
+
+  while (ancestor && ancestor !== scope) {
+    if (matchesComplex(ancestor, parts, index - 1, scope)) return true;
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+/**
+ * Check whether an element matches a selector
+ */
+function matches(node, selector) {
+  const groups = typeof selector === 'string' ? parseSelector(selector) : selector;
+  return groups.some(parts => matchesComplex(node, parts, parts.length - 1, null));
+}
+
+/**
+ * Find all descendants of `node` matching `selector`, in document order
+ */
+function querySelectorAll(node, selector) {
+  const groups = parseSelector(selector);
+  const results = [];
+
+  const walk = (parent) => {
+    for (const child of parent.children || []) {
+      if (child.type !== 'element') continue;
+      if (groups.some(parts => matchesComplex(child, parts, parts.length - 1, node))) {
+        results.push(child);
+      }
+      walk(child);
+    }
+  };
+
+  walk(node);
+  return results;
+}
+
+/**
+ * Find the first descendant of `node` matching `selector`
+ */
+function querySelector(node, selector) {
+  return querySelectorAll(node, selector)[0] || null;
+}
+
+/**
+ * Remove all descendants matching `selector` from the tree
+ */
+function removeAll(node, selector) {
+  querySelectorAll(node, selector).forEach(element => {
+    const siblings = element.parent.children;
+    const index = siblings.indexOf(element);
+    if (index !== -1) siblings.splice(index, 1);
+  });
+}
+
+/**
+ * Concatenated text of a node with whitespace collapsed
+ */
+function textContent(node) {
+  if (!node) return '';
+  const chunks = [];
+
+  const walk = (current) => {
+    if (current.type === 'text') {
+      chunks.push(current.text);
+    } else if (!RAW_TEXT_ELEMENTS.has(current.tag) || current.tag === 'title') {
+      const block = BLOCK_ELEMENTS.has(current.tag);
+      if (block) chunks.push(' ');
+      current.children.forEach(walk);
+      if (block) chunks.push(' ');
+    }
+  };
+
+  walk(node);
+  return chunks.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of a node split into lines at block element boundaries
+ * Table cells on the same row are joined with " | " so rows stay on one line.
+ */
+function textLines(node) {
+  if (!node) return [];
+  const lines = [];
+  let line = [];
+
+  const flush = () => {
+    const text = line.join('').replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+    line = [];
+  };
+
+  const walk = (current) => {
+    if (current.type === 'text') {
+      line.push(current.text);
+      return;
+    }
+    if (RAW_TEXT_ELEMENTS.has(current.tag)) return;
+
+    const cell = current.tag === 'td' || current.tag === 'th';
+    const block = BLOCK_ELEMENTS.has(current.tag) && !cell;
+
+    if (block) flush();
+    if (cell && line.join('').trim()) line.push(' | ');
+    current.children.forEach(walk);
+    if (block) flush();
+  };
+
+  walk(node);
+  flush();
+  return lines;
+}
+
+/**
+ * Following element siblings of `node`
+ */
+function nextElementSiblings(node) {
+  if (!node.parent) return [];
+  const siblings = node.parent.children.filter(child => child.type === 'element');
+  return siblings.slice(siblings.indexOf(node) + 1);
+}
+
+module.exports = {
+  parseHTML,
+  parseSelector,
+  matches,
+  querySelector,
+  querySelectorAll,
+  removeAll,
+  textContent,
+  textLines,
+  nextElementSiblings,
+  decodeHTMLEntities
+};
@@ -0,0 +1,309 @@
+const https = require('https');
+const http = require('http');
+const tls = require('tls');
+const zlib = require('zlib');
+
+// Transient failures worth retrying
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_MAX_RETRY_DELAY = 30000;
+
+/**
+ * Resolve the proxy URL for a request from HTTPS_PROXY/HTTP_PROXY and NO_PROXY
+ * `proxyOption` false disables proxying; a string forces that proxy.
+ */
+function getProxyForUrl(url, proxyOption) {
+  if (proxyOption === false) return null;
+  if (typeof proxyOption === 'string') return proxyOption;
+
+  const urlObj = new URL(url);
+  const env = process.env;
+  const proxy = urlObj.protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+
+  if (!proxy) return null;
+
+  const noProxy = (env.NO_PROXY || env.no_proxy || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  const hostname = urlObj.hostname.toLowerCase();
+  const port = urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80');
+
+  const bypass = noProxy.some(entry => {
+    if (entry === '*') return true;
+    const [entryHost, entryPort] = entry.split(':');
+    if (entryPort && entryPort !== port) return false;
+    const domain = entryHost.replace(/^\*?\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+
+  return bypass ? null : proxy;
+}
+
+/**
+ * Build request options, tunnelling HTTPS through the proxy with CONNECT
+ */
+function buildRequestOptions(url, headers, proxyUrl, timeout) {
+  const target = new URL(url);
+  const isHttps = target.protocol === 'https:';
+
+  if (!proxyUrl) {
+    return { client: isHttps ? https : http, url, options: { headers } };
+  }
+
+  const proxy = new URL(proxyUrl);
+  const proxyClient = proxy.protocol === 'https:' ? https : http;
+  const proxyHeaders = {};
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    proxyHeaders['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  if (!isHttps) {
+    // Plain HTTP goes to the proxy with the absolute URL as the path
+    return {
+      client: proxyClient,
+      url: null,
+      options: {
+        hostname: proxy.hostname,
+        port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+        path: url,
+        headers: { ...headers, ...proxyHeaders, Host: target.host }
+      }
+    };
+  }
+
+  const targetPort = target.port || 443;
+
+  return {
+    client: https,
+    url,
+    options: {
+      headers,
+      // Without an agent, Node uses createConnection for the socket
+      createConnection: (opts, callback) => {
+        const connectReq = proxyClient.request({
+          hostname: proxy.hostname,
+          port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+          method: 'CONNECT',
+          path: `${target.hostname}:${targetPort}`,
+          headers: { ...proxyHeaders, Host: `${target.hostname}:${targetPort}` }
+        });
+
+        connectReq.setTimeout(timeout, () => {
+          connectReq.destroy(new Error(`Proxy CONNECT timeout: ${proxy.host}`));
+        });
+        connectReq.on('connect', (res, socket) => {
+          if (res.statusCode !== 200) {
+            socket.destroy();
+            callback(new Error(`Proxy CONNECT failed (HTTP ${res.statusCode}): ${proxy.host}`));
+            return;
+          }
+          callback(null, tls.connect({ socket, servername: target.hostname }));
+        });
+        connectReq.on('error', callback);
+        connectReq.end();
+      }
+    }
+  };
+}
+
+/**
+ * Wrap the response stream with a decoder for its Content-Encoding
+ */
+function decodeResponse(res) {
+  const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+  switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+      return res.pipe(zlib.createGunzip());
+    case 'deflate':
+      return res.pipe(zlib.createInflate());
+    case 'br':
+      return res.pipe(zlib.createBrotliDecompress());
+    default:
+      return res;
+  }
+}
+
+/**
+ * Single request attempt, following redirects
+ */
+function requestUrl(url, options = {}) {
+  const timeout = options.timeout || 10000;
+  const maxSize = options.maxSize || 5 * 1024 * 1024; // 5MB default
+  const maxRedirects = options.maxRedirects || 5;
+
+  return new Promise((resolve, reject) => {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (compatible; SDK-Monitor/1.0)',
+      ...(options.decompress === false ? {} : { 'Accept-Encoding': 'gzip, deflate, br' }),
+      ...(options.body !== undefined ? { 'Content-Length': Buffer.byteLength(options.body) } : {}),
+      ...options.headers
+    };
+
+    const proxyUrl = getProxyForUrl(url, options.proxy);
+    const request = buildRequestOptions(url, headers, proxyUrl, timeout);
+
+    const onResponse = (res) => {
+      // Handle redirects (301, 302, 307, 308)
+      if ([301, 302, 307, 308].includes(res.statusCode)) {
+        const redirectUrl = res.headers.location;
+        res.resume();
+
+        if (!redirectUrl) {
+          reject(new Error(`Redirect without location header: ${url}`));
+          return;
+        }
+
+        // Check redirect limit
+        const redirectCount = options.redirectCount || 0;
+        if (redirectCount >= maxRedirects) {
+          reject(new Error(`Too many redirects (${maxRedirects}): ${url}`));
+          return;
+        }
+
+        // Follow redirect
+        const newUrl = redirectUrl.startsWith('http')
+          ? redirectUrl
+          : new URL(redirectUrl, url).href;
+
+        console.log(`Following redirect: ${url} -> ${newUrl}`);
+
+        // Recursive call with incremented redirect count
+        requestUrl(newUrl, {
+          ...options,
+          redirectCount: redirectCount + 1
+        }).then(resolve).catch(reject);
+        return;
+      }
+
+      const acceptStatus = options.acceptStatus || [200];
+      if (!acceptStatus.includes(res.statusCode)) {
+        const error = new Error(`HTTP ${res.statusCode}: ${url}`);
+        error.statusCode = res.statusCode;
+        error.headers = res.headers;
+        res.resume();
+        reject(error);
+        return;
+      }
+
+      // Collect raw chunks so multi-byte characters and binary bodies survive chunk boundaries
+      const chunks = [];
+      let size = 0;
+      const stream = decodeResponse(res);
+
+      stream.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxSize) {
+          req.destroy();
+          stream.destroy();
+          const error = new Error(`Response too large (>${maxSize} bytes): ${url}`);
+          error.permanent = true;
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      stream.on('error', error => {
+        reject(new Error(`Failed to decode response (${res.headers['content-encoding']}): ${error.message}`));
+      });
+
+      stream.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        const data = options.binary ? buffer : buffer.toString('utf8');
+        resolve(options.fullResponse
+          ? { statusCode: res.statusCode, headers: res.headers, body: data }
+          : data);
+      });
+    };
+
+    const requestOptions = { ...request.options, method: options.method || 'GET' };
+    const req = request.url
+      ? request.client.request(request.url, requestOptions, onResponse)
+      : request.client.request(requestOptions, onResponse);
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Timeout: ${url}`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.end(options.body);
+  });
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function isRetryable(error) {
+  if (error.permanent) return false;
+  if (error.statusCode) {
+    // An exhausted quota without Retry-After will not recover within the backoff window
+    const exhausted = error.headers?.['x-ratelimit-remaining'] === '0' && !error.headers?.['retry-after'];
+    return RETRYABLE_STATUS.includes(error.statusCode) && !exhausted;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Fetch URL content with timeout, retries, decompression and proxy support
+ * Rejected errors carry `statusCode` and `headers` for non-accepted HTTP statuses.
+ * With `fullResponse`, resolves { statusCode, headers, body } instead of the body.
+ * With `binary`, the body is a Buffer instead of a UTF-8 string.
+ * `method` and `body` (string or Buffer) send requests other than GET, e.g. JSON POST queries.
+ *
+ * Retries (`retries`, `retryDelay`, `maxRetryDelay`) apply to 408/429/5xx and network
+ * errors with exponential backoff and jitter; Retry-After is honored when present.
+ * `proxy`: undefined uses HTTPS_PROXY/HTTP_PROXY/NO_PROXY, false disables, string forces.
+ */
+async function fetchUrl(url, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+  const maxRetryDelay = options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestUrl(url, options);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const backoff = retryDelay * Math.pow(2, attempt) * (0.5 + Math.random() * 0.5);
+      const retryAfter = parseRetryAfter(error.headers?.['retry-after']);
+      const delay = Math.min(retryAfter ?? backoff, maxRetryDelay);
+
+      console.warn(`Retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries}) after: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  fetchUrl,
+  getProxyForUrl
+};
@@ -0,0 +1,150 @@
+/**
+ * Item identity
+ * IDs are content-addressed from what identifies an item for its source type: the Atom
+ * <id>, the RSS <guid>, the item's (normalized) link, or for HTML entries the source and
+ * the entry's link or normalized title. Natural keys (GitHub release ids,
+ * package versions, advisory ids) are used as they are by their fetchers.
+ *
+ * ID_SCHEME is stored in state.json. Items whose ID changed with the current scheme carry
+ * `legacyId` (the ID the previous scheme gave them) so a state written by an older version
+ * can be migrated once instead of reporting every item as new.
+ */
+
+const crypto = require('crypto');
+
+const ID_SCHEME = 2;
+
+// Query parameters that only track the visit
+const TRACKING_PARAMS = /^(?:utm_\w+|ref|src|source|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/**
+ * URL normalized for comparison: scheme, www., trailing slash and tracking parameters
+ * dropped, remaining parameters sorted. The fragment is dropped unless `options.fragment`
+ * (entries on one page are often told apart only by their anchor).
+ * Returns null when missing or unparsable.
+ */
+function normalizeUrl(url, options = {}) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const fragment = options.fragment && parsed.hash.length > 1 ? parsed.hash : '';
+
+  return `${host}${pathname}${query}${fragment}`;
+}
+
+/**
+ * Title folded for identity (NFKC, case and whitespace), so re-rendered markup does not
+ * change it
+ */
+function normalizeTitle(title) {
+  return String(title || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * `<kind>:<sha256 prefix>` of the identifying parts (96 bits; collisions are not a concern)
+ */
+function createItemId(kind, ...parts) {
+  const hash = crypto.createHash('sha256').update(parts.join('\n'), 'utf8').digest('hex');
+  return `${kind}:${hash.substring(0, 24)}`;
+}
+
+/**
+ * Feed entry: Atom <id>, then RSS <guid>, then the normalized link
+ */
+function getFeedItemId(entry) {
+  const key = entry.entryId || entry.guid;
+  return key
+    ? createItemId('feed', key.trim())
+    : createItemId('feed', normalizeUrl(entry.link, { fragment: true }) || entry.link);
+}
+
+/**
+ * HTML entry: the source and the entry's link (unless it is the page itself), otherwise
+ * the source and the normalized title. Only the entry is used, so other entries on the
+ * page never change its ID. `"itemId": "title"` on the source always uses the title
+ * (for pages whose entries share one link).
+ */
+function getHtmlItemId(source, entry) {
+  const link = normalizeUrl(entry.url, { fragment: true });
+  const useLink = source.itemId !== 'title' && link && link !== normalizeUrl(source.url, { fragment: true });
+  return useLink
+    ? createItemId('html', source.id, link)
+    : createItemId('html', source.id, normalizeTitle(entry.title));
+}
+
+/**
+ * 32-bit string hash used by the first ID scheme (kept to compute `legacyId`)
+ */
+function legacyHash(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash).toString(36);
+}
+
+// The only entities the first scheme decoded in heading text
+const LEGACY_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'"
+};
+
+/**
+ * Heading link as the first scheme resolved it (raw href; the page URL when there is none)
+ */
+function resolveLegacyLink(href, pageUrl) {
+  if (!href) return pageUrl;
+  try {
+    if (href.startsWith('http')) return href;
+    if (href.startsWith('/')) {
+      const base = new URL(pageUrl);
+      return `${base.protocol}//${base.host}${href}`;
+    }
+    if (!href.startsWith('#') && !href.startsWith('javascript:')) {
+      return new URL(href, pageUrl).href;
+    }
+  } catch (e) {
+    // Unparsable links fell back to the page URL
+  }
+  return pageUrl;
+}
+
+/**
+ * `legacyId` of an HTML heading, from its inner HTML the way the first scheme read it:
+ * tags stripped and trimmed (whitespace kept), only the basic entities decoded, and the
+ * first link's raw href
+ */
+function getLegacyHtmlId(pageUrl, headingHtml) {
+  const text = headingHtml.replace(/<[^>]+>/g, '').trim()
+    .replace(/&[a-z0-9#]+;/gi, match => LEGACY_ENTITIES[match] || match);
+  const link = /<a[^>]*href=["']([^"']+)["'][^>]*>/i.exec(headingHtml);
+  return legacyHash(`${resolveLegacyLink(link?.[1], pageUrl)}-${text}`);
+}
+
+module.exports = {
+  ID_SCHEME,
+  normalizeUrl,
+  createItemId,
+  getFeedItemId,
+  getHtmlItemId,
+  getLegacyHtmlId,
+  legacyHash
+};
@@ -0,0 +1,192 @@
+/**
+ * Software lifecycle (end-of-life) tracking
+ * Collects version-to-EOL records from endoflife.date, an HTML table (e.g. php.net
+ * supported versions) and hand-written `releases`, then warns when a version in use
+ * comes within one of the configured thresholds of its deadline.
+ */
+
+const { fetchUrl } = require('./http');
+const { parseHTML, querySelectorAll, textContent } = require('./html');
+const { findDate } = require('./dates');
+
+const DEFAULT_THRESHOLDS = [180, 90, 30];
+const DAY_MS = 86400000;
+
+function toDateString(time) {
+  return time === null ? null : new Date(time).toISOString().substring(0, 10);
+}
+
+/**
+ * Normalize a date value (ISO string, "31 Dec 2027", etc.) to YYYY-MM-DD, or null
+ */
+function normalizeDate(value, format) {
+  if (typeof value !== 'string') return null;
+  return toDateString(findDate(value, format));
+}
+
+/**
+ * Records from the endoflife.date API (`endoflife` is the product slug, e.g. "php")
+ * `eol` and `support` may be booleans there; only dates are kept.
+ */
+async function fetchEndOfLifeRecords(source) {
+  const product = encodeURIComponent(source.endoflife);
+  const cycles = JSON.parse(await fetchUrl(`https://endoflife.date/api/${product}.json`, {
+    ...(source.http || {}),
+    headers: { 'Accept': 'application/json' }
+  }));
+
+  return cycles.map(cycle => ({
+    cycle: String(cycle.cycle),
+    eol: normalizeDate(cycle.eol),
+    support: normalizeDate(cycle.support),
+    link: cycle.link || `https://endoflife.date/${source.endoflife}`
+  }));
+}
+
+function getCells(row) {
+  return row.children.filter(child => child.type === 'element' && (child.tag === 'td' || child.tag === 'th'));
+}
+
+/**
+ * Records from an HTML table at `url`
+ * `table` gives the row selector and the column index of the cycle and dates:
+ *   { "rows": "table tbody tr", "cycle": 0, "support": 3, "eol": 5 }
+ */
+async function fetchTableRecords(source) {
+  const rules = source.table;
+  const document = parseHTML(await fetchUrl(source.url, source.http || {}));
+
+  return querySelectorAll(document, rules.rows || 'table tr').flatMap(row => {
+    const cells = getCells(row);
+    const cycleText = textContent(cells[rules.cycle ?? 0]);
+    const cycle = (/\d+(?:\.\d+)*/.exec(cycleText) || [cycleText])[0];
+    const eol = normalizeDate(textContent(cells[rules.eol]), source.dateFormat);
+
+    // Header and note rows have no version or no date
+    if (!cycle || !eol) return [];
+
+    return [{
+      cycle,
+      eol,
+      support: rules.support === undefined ? null : normalizeDate(textContent(cells[rules.support]), source.dateFormat),
+      link: source.url
+    }];
+  });
+}
+
+/**
+ * All lifecycle records for a source; hand-written `releases` override fetched ones
+ */
+async function fetchLifecycleRecords(source) {
+  const records = new Map();
+  const add = record => records.set(record.cycle, { ...records.get(record.cycle), ...record });
+
+  if (source.endoflife) {
+    (await fetchEndOfLifeRecords(source)).forEach(add);
+  }
+  if (source.table) {
+    if (!source.url) throw new Error('"url" is required with "table"');
+    (await fetchTableRecords(source)).forEach(add);
+  }
+  (source.releases || []).forEach(release => {
+    // Only the given fields override, e.g. a label for a fetched cycle
+    const record = { cycle: String(release.cycle) };
+    if (release.eol) record.eol = normalizeDate(release.eol);
+    if (release.support) record.support = normalizeDate(release.support);
+    if (release.label) record.label = release.label;
+    if (release.link) record.link = release.link;
+    add(record);
+  });
+
+  return [...records.values()];
+}
+
+function getThresholds(source) {
+  const thresholds = (source.thresholds || DEFAULT_THRESHOLDS).filter(days => Number.isFinite(days) && days > 0);
+  return [...new Set(thresholds)].sort((a, b) => b - a);
+}
+
+/**
+ * True when an in-use version belongs to a release cycle ("8.2.10" -> "8.2")
+ */
+function matchesCycle(version, cycle) {
+  const normalized = String(version).trim().toLowerCase();
+  const target = cycle.toLowerCase();
+  return normalized === target || normalized.startsWith(`${target}.`);
+}
+
+/**
+ * Build the deadline warning for one record, or null when the deadline is still far away
+ * IDs include the EOL date and the threshold, so each threshold is reported once and a
+ * moved deadline is reported again.
+ */
+function createDeadlineItem(source, record, version, thresholds, now) {
+  const eolTime = Date.parse(record.eol);
+  const daysLeft = Math.ceil((eolTime - now) / DAY_MS);
+  const product = source.product || source.name;
+  const label = record.label || 'end of life';
+
+  let stage;
+  let title;
+  let publishedAt;
+  let severity;
+
+  if (daysLeft <= 0) {
+    stage = 'passed';
+    title = `${product} ${record.cycle} - ${label} passed (${record.eol})`;
+    publishedAt = eolTime;
+    severity = 'critical';
+  } else {
+    // Smallest threshold not yet passed; nothing to report before the largest one
+    const crossed = thresholds.filter(days => daysLeft <= days);
+    if (crossed.length === 0) return null;
+
+    const threshold = crossed[crossed.length - 1];
+    stage = `${threshold}d`;
+    title = `${product} ${record.cycle} - ${label} in ${daysLeft} days (${record.eol})`;
+    publishedAt = eolTime - threshold * DAY_MS;
+    severity = threshold === thresholds[thresholds.length - 1] ? 'high' : 'medium';
+  }
+
+  return {
+    id: `lifecycle:${source.id}:${record.cycle}@${record.eol}:${stage}`,
+    title,
+    url: record.link || source.url || null,
+    description: [
+      `In use: ${version}`,
+      `Deadline: ${record.eol}${daysLeft > 0 ? ` (${daysLeft} days left)` : ''}`,
+      record.support ? `Active support until: ${record.support}` : null
+    ].filter(Boolean).join('\n'),
+    publishedAt,
+    presetSeverity: severity,
+    presetReason: daysLeft > 0 ? `${label} in ${daysLeft} days` : `${label} passed`,
+    source: source.id,
+    rawData: { cycle: record.cycle, eol: record.eol, version, daysLeft }
+  };
+}
+
+/**
+ * Deadline warnings for the versions listed in `inUse`
+ */
+function checkDeadlines(source, records, now = Date.now()) {
+  const thresholds = getThresholds(source);
+
+  return (source.inUse || []).flatMap(version => {
+    // Most specific cycle wins ("8.2" over "8")
+    const record = records
+      .filter(candidate => candidate.eol && matchesCycle(version, candidate.cycle))
+      .sort((a, b) => b.cycle.length - a.cycle.length)[0];
+    if (!record) {
+      console.warn(`[${source.id}] No lifecycle record with an EOL date for in-use version ${version}`);
+      return [];
+    }
+
+    const item = createDeadlineItem(source, record, version, thresholds, now);
+    return item ? [item] : [];
+  });
+}
+
+module.exports = {
+  fetchLifecycleRecords,
+  checkDeadlines
+};
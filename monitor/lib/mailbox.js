@@ -0,0 +1,350 @@
+/**
+ * Local mailbox reader (Maildir or mbox) for email-only announcements
+ * Messages are parsed without dependencies: MIME multipart, quoted-printable/base64,
+ * RFC 2047 encoded headers and legacy Japanese charsets (ISO-2022-JP, Shift_JIS) via TextDecoder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHTML, textContent } = require('./html');
+
+const MAX_MESSAGES = 20;
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown charsets
+ */
+function decodeCharset(buffer, charset) {
+  const label = (charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(input.substr(i + 1, 2))) {
+      bytes.push(parseInt(input.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ */
+function decodeHeaderValue(value) {
+  return value
+    // Whitespace between adjacent encoded words is not significant
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+/**
+ * Split raw (latin1) message text into headers and body; header names are lower-cased
+ */
+function parseHeaders(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const headerText = match ? raw.substring(0, match.index) : raw;
+  const body = match ? raw.substring(match.index + match[0].length) : '';
+
+  const headers = {};
+  headerText
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+      const name = line.substring(0, colon).trim().toLowerCase();
+      // Header bytes may be raw UTF-8 (RFC 6532); re-read them before decoding encoded words
+      const value = decodeHeaderValue(Buffer.from(line.substring(colon + 1).trim(), 'latin1').toString('utf8'));
+      if (!(name in headers)) {
+        headers[name] = value;
+      }
+    });
+
+  return { headers, body };
+}
+
+/**
+ * Parse a structured header such as Content-Type into its value and parameters
+ * Handles quoted values and RFC 2231 extended parameters (filename*=UTF-8''...).
+ */
+function parseHeaderParams(value = '') {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+  const extended = {};
+
+  rest.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return;
+    const key = part.substring(0, eq).trim().toLowerCase();
+    const raw = part.substring(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    const ext = /^([^*]+)\*(\d+)?(\*)?$/.exec(key);
+    if (ext) {
+      const [, name, index = '0', encoded] = ext;
+      // "name*" is a single encoded value; "name*0*" / "name*1" are (encoded) continuations
+      (extended[name] = extended[name] || []).push({
+        index: Number(index),
+        raw,
+        encoded: Boolean(encoded) || ext[2] === undefined
+      });
+    } else {
+      params[key] = raw;
+    }
+  });
+
+  Object.entries(extended).forEach(([name, parts]) => {
+    parts.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = [];
+    parts.forEach((part, i) => {
+      let text = part.raw;
+      if (part.encoded && i === 0) {
+        const match = /^([^']*)'[^']*'(.*)$/.exec(text);
+        if (match) {
+          charset = match[1] || charset;
+          text = match[2];
+        }
+      }
+      bytes.push(part.encoded
+        ? Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+        : Buffer.from(text, 'utf8'));
+    });
+    params[name] = decodeCharset(Buffer.concat(bytes), charset);
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ */
+function decodeTransfer(body, encoding = '') {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * Walk a MIME entity, collecting text bodies and attachments
+ */
+function walkPart(raw, result) {
+  const { headers, body } = parseHeaders(raw);
+  const contentType = parseHeaderParams(headers['content-type'] || 'text/plain; charset=us-ascii');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const boundary = `--${contentType.params.boundary}`;
+    const sections = body.split(new RegExp(`^${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?$`, 'm'));
+    // The first section is the preamble and the last one the epilogue
+    sections.slice(1, -1).forEach(section => walkPart(section.replace(/^\r?\n/, ''), result));
+    return;
+  }
+
+  if (contentType.value === 'message/rfc822') {
+    walkPart(body, result);
+    return;
+  }
+
+  const data = decodeTransfer(body, headers['content-transfer-encoding']);
+  const filename = disposition.params.filename || contentType.params.name;
+  const isText = contentType.value === 'text/plain' || contentType.value === 'text/html';
+
+  if (filename || disposition.value === 'attachment' || !isText) {
+    result.attachments.push({
+      filename: filename || '(no name)',
+      contentType: contentType.value,
+      size: data.length
+    });
+    return;
+  }
+
+  const text = decodeCharset(data, contentType.params.charset);
+  if (contentType.value === 'text/plain') {
+    result.plain.push(text);
+  } else {
+    result.html.push(text);
+  }
+}
+
+/**
+ * Parse one RFC 5322 message from a Buffer
+ */
+function parseMessage(buffer) {
+  const raw = buffer.toString('latin1');
+  const { headers } = parseHeaders(raw);
+  const result = { plain: [], html: [], attachments: [] };
+  walkPart(raw, result);
+
+  const text = result.plain.length > 0
+    ? result.plain.join('\n')
+    : result.html.map(html => textContent(parseHTML(html))).join('\n');
+
+  const date = headers.date ? new Date(headers.date.replace(/\s*\([^)]*\)\s*$/, '')).getTime() : NaN;
+
+  return {
+    messageId: (headers['message-id'] || '').replace(/^<|>$/g, '') || null,
+    from: headers.from || '',
+    subject: headers.subject || '(no subject)',
+    date: Number.isNaN(date) ? null : date,
+    text: text.replace(/\r\n/g, '\n'),
+    attachments: result.attachments
+  };
+}
+
+/**
+ * Split an mbox file into message buffers (mboxrd ">From " quoting is undone)
+ */
+function splitMbox(buffer) {
+  const raw = buffer.toString('latin1');
+  return raw
+    // A "From " separator line starts the file or follows a blank line
+    .split(/(?:^|\r?\n\r?\n)From [^\r\n]*\r?\n/)
+    .filter(chunk => chunk.trim())
+    .map(chunk => Buffer.from(chunk.replace(/^>(>*From )/gm, '$1'), 'latin1'));
+}
+
+/**
+ * Read message buffers from a Maildir (new/ and cur/) or an mbox file
+ * Returns [{ buffer, mtime }] with the file modification time as a date fallback.
+ */
+function readMailbox(mailboxPath) {
+  const stat = fs.statSync(mailboxPath);
+
+  if (stat.isFile()) {
+    return splitMbox(fs.readFileSync(mailboxPath)).map(buffer => ({ buffer, mtime: stat.mtimeMs }));
+  }
+
+  const dirs = ['new', 'cur'].map(dir => path.join(mailboxPath, dir)).filter(dir => fs.existsSync(dir));
+  if (dirs.length === 0) {
+    throw new Error(`Not a Maildir (no new/ or cur/): ${mailboxPath}`);
+  }
+
+  return dirs.flatMap(dir => fs.readdirSync(dir)
+    .filter(name => !name.startsWith('.'))
+    .map(name => path.join(dir, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => ({ buffer: fs.readFileSync(file), mtime: fs.statSync(file).mtimeMs })));
+}
+
+function toPatterns(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter(Boolean)
+    .map(pattern => new RegExp(pattern, 'i'));
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Read messages from `source.path` matching `senderPattern` / `subjectPattern`
+ * Relative paths are resolved from the monitor directory.
+ */
+function readMessages(source) {
+  if (!source.path) {
+    throw new Error('"path" is required for mailbox sources');
+  }
+
+  const mailboxPath = path.resolve(__dirname, '..', source.path);
+  const senderPatterns = toPatterns(source.senderPattern);
+  const subjectPatterns = toPatterns(source.subjectPattern);
+
+  return readMailbox(mailboxPath)
+    .map(({ buffer, mtime }) => {
+      const message = parseMessage(buffer);
+      return { ...message, date: message.date || mtime };
+    })
+    .filter(message =>
+      (senderPatterns.length === 0 || senderPatterns.some(regex => regex.test(message.from))) &&
+      (subjectPatterns.length === 0 || subjectPatterns.some(regex => regex.test(message.subject)))
+    )
+    .sort((a, b) => b.date - a.date)
+    .slice(0, source.maxItems || MAX_MESSAGES)
+    .map(message => ({
+      ...message,
+      url: /https?:\/\/[^\s<>"')\]]+/.exec(message.text)?.[0] || null,
+      attachmentSummary: message.attachments
+        .map(attachment => `${attachment.filename} (${attachment.contentType}, ${formatSize(attachment.size)})`)
+    }));
+}
+
+/**
+ * Fields of a read message as compared by checkMailboxFixtures
+ */
+function describeMessage(message) {
+  return {
+    messageId: message.messageId,
+    from: message.from,
+    subject: message.subject,
+    date: new Date(message.date).toISOString(),
+    url: message.url,
+    attachments: message.attachmentSummary,
+    text: message.text
+  };
+}
+
+/**
+ * Read sample mailboxes and compare them with their expected messages (`run.js check-mailbox`)
+ * The fixture file lists { path, senderPattern?, subjectPattern?, messages } with paths
+ * relative to the file. Expected fields must be equal, except `text`, which must be contained.
+ * Returns { checked, failures: [string] }
+ */
+function checkMailboxFixtures(fixtureFile) {
+  const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  const baseDir = path.dirname(path.resolve(fixtureFile));
+  const failures = [];
+  let checked = 0;
+
+  fixtures.forEach(fixture => {
+    const label = `${fixture.path}${fixture.senderPattern || fixture.subjectPattern ? ' (filtered)' : ''}`;
+    const messages = readMessages({ ...fixture, path: path.resolve(baseDir, fixture.path) }).map(describeMessage);
+
+    if (messages.length !== fixture.messages.length) {
+      failures.push(`${label}: expected ${fixture.messages.length} messages, read ${messages.length}`);
+    }
+
+    fixture.messages.forEach((expected, index) => {
+      checked++;
+      const actual = messages[index];
+      if (!actual) return;
+
+      Object.entries(expected).forEach(([field, value]) => {
+        const matches = field === 'text'
+          ? String(actual.text).includes(value)
+          : JSON.stringify(actual[field]) === JSON.stringify(value);
+        if (!matches) {
+          failures.push(`${label} #${index + 1} ${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[field])}`);
+        }
+      });
+    });
+  });
+
+  return { checked, failures };
+}
+
+module.exports = {
+  parseMessage,
+  readMessages,
+  checkMailboxFixtures
+};
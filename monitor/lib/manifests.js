@@ -0,0 +1,263 @@
+/**
+ * Dependency manifest readers (lockfiles and version catalogs)
+ *
+ * readManifest() returns the ecosystem and the pinned dependencies of a file:
+ *   { ecosystem: 'composer', dependencies: [{ name, version, direct, repository }] }
+ * `direct` is false for transitive packages when the manifest (or the project file next
+ * to it, e.g. composer.json) tells them apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Project file next to a lockfile (composer.json, package.json, pyproject.toml), or null
+ */
+function readSibling(filePath, name) {
+  const siblingPath = path.join(path.dirname(filePath), name);
+  return fs.existsSync(siblingPath) ? fs.readFileSync(siblingPath, 'utf8') : null;
+}
+
+function readSiblingJson(filePath, name) {
+  const content = readSibling(filePath, name);
+  return content ? JSON.parse(content) : null;
+}
+
+/**
+ * Python package names compare case-insensitively with -, _ and . folded
+ */
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Lines of the TOML sections whose header matches `pattern` (enough for manifests, not a TOML parser)
+ */
+function getTomlSections(content, pattern) {
+  const lines = [];
+  let inSection = false;
+
+  content.split(/\r?\n/).forEach(line => {
+    const header = /^\s*\[([^\]]+)\]\s*$/.exec(line);
+    if (header) {
+      inSection = pattern.test(header[1].trim());
+    } else if (inSection) {
+      lines.push(line);
+    }
+  });
+
+  return lines;
+}
+
+function readComposerLock(filePath) {
+  const lock = readJson(filePath);
+  const project = readSiblingJson(filePath, 'composer.json');
+  const requires = project ? Object.keys({ ...project.require, ...project['require-dev'] }) : null;
+
+  const dependencies = [...(lock.packages || []), ...(lock['packages-dev'] || [])].map(entry => ({
+    name: entry.name,
+    version: entry.version,
+    direct: requires ? requires.includes(entry.name) : true,
+    // "https://github.com/laravel/framework.git" -> "laravel/framework"
+    repository: /github\.com[/:]([^/]+\/[^/]+?)(?:\.git)?$/.exec(entry.source?.url || '')?.[1] || null
+  }));
+
+  return { ecosystem: 'composer', dependencies };
+}
+
+function readPackageLock(filePath) {
+  const lock = readJson(filePath);
+  const root = lock.packages?.[''] || readSiblingJson(filePath, 'package.json');
+  const direct = root ? Object.keys({ ...root.dependencies, ...root.devDependencies }) : null;
+
+  // lockfileVersion 2/3 list "node_modules/<name>" paths; version 1 nests "dependencies"
+  const entries = lock.packages
+    ? Object.entries(lock.packages)
+      .filter(([key]) => key.startsWith('node_modules/') && !key.includes('/node_modules/'))
+      .map(([key, entry]) => [key.substring('node_modules/'.length), entry])
+    : Object.entries(lock.dependencies || {});
+
+  const dependencies = entries.map(([name, entry]) => ({
+    name,
+    version: entry.version,
+    direct: direct ? direct.includes(name) : true,
+    repository: null
+  }));
+
+  return { ecosystem: 'npm', dependencies };
+}
+
+function readRequirements(filePath) {
+  const dependencies = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).flatMap(line => {
+    const match = /^\s*([A-Za-z0-9][\w.-]*)(?:\[[^\]]*\])?\s*==\s*([^\s;#]+)/.exec(line);
+    return match ? [{ name: match[1], version: match[2], direct: true, repository: null }] : [];
+  });
+
+  return { ecosystem: 'pypi', dependencies };
+}
+
+/**
+ * Direct dependency names from pyproject.toml (Poetry tables or PEP 621 `dependencies`)
+ */
+function getPyprojectDependencies(content) {
+  const names = getTomlSections(content, /^tool\.poetry\.(?:dev-)?dependencies$|^tool\.poetry\.group\.[^.]+\.dependencies$/)
+    .map(line => /^\s*"?([A-Za-z0-9][\w.-]*)"?\s*=/.exec(line)?.[1])
+    .filter(name => name && name.toLowerCase() !== 'python');
+
+  const pep621 = /^\s*dependencies\s*=\s*\[([\s\S]*?)\]/m.exec(getTomlSections(content, /^project$/).join('\n'));
+  if (pep621) {
+    (pep621[1].match(/"[^"]+"|'[^']+'/g) || []).forEach(spec => {
+      const name = /^["']\s*([A-Za-z0-9][\w.-]*)/.exec(spec)?.[1];
+      if (name) names.push(name);
+    });
+  }
+
+  return names.map(normalizePythonName);
+}
+
+function readPoetryLock(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const project = readSibling(filePath, 'pyproject.toml');
+  const direct = project ? getPyprojectDependencies(project) : null;
+
+  const dependencies = content.split(/^\[\[package\]\]\s*$/m).slice(1).flatMap(block => {
+    const name = /^name\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+    const version = /^version\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+    if (!name || !version) return [];
+    return [{
+      name,
+      version,
+      direct: direct ? direct.includes(normalizePythonName(name)) : true,
+      repository: null
+    }];
+  });
+
+  return { ecosystem: 'pypi', dependencies };
+}
+
+function readPipfileLock(filePath) {
+  const lock = readJson(filePath);
+  const dependencies = Object.entries({ ...lock.develop, ...lock.default }).map(([name, entry]) => ({
+    name,
+    version: (entry.version || '').replace(/^==/, '') || null,
+    direct: true,
+    repository: null
+  }));
+
+  return { ecosystem: 'pypi', dependencies };
+}
+
+function readPodfileLock(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const section = name => {
+    const match = new RegExp(`^${name}:\\s*$([\\s\\S]*?)(?=^\\S|(?![\\s\\S]))`, 'm').exec(content);
+    return match ? match[1] : '';
+  };
+
+  // Top-level "  - Name (1.2.3)" entries; subspecs ("Firebase/Analytics") fold into the pod
+  const versions = new Map();
+  section('PODS').split(/\r?\n/).forEach(line => {
+    const match = /^ {2}- "?([^\s"(]+)"? \(([^)]+)\)/.exec(line);
+    if (match && !versions.has(match[1].split('/')[0])) {
+      versions.set(match[1].split('/')[0], match[2]);
+    }
+  });
+
+  const direct = new Set(section('DEPENDENCIES').split(/\r?\n/)
+    .map(line => /^ {2}- "?([^\s"(]+)/.exec(line)?.[1]?.split('/')[0])
+    .filter(Boolean));
+
+  const dependencies = [...versions].map(([name, version]) => ({
+    name,
+    version,
+    direct: direct.size > 0 ? direct.has(name) : true,
+    repository: null
+  }));
+
+  return { ecosystem: 'cocoapods', dependencies };
+}
+
+/**
+ * Gradle version catalog (gradle/libs.versions.toml)
+ * Libraries without a version (managed by a BoM) are skipped.
+ */
+function readVersionCatalog(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  const versions = {};
+  getTomlSections(content, /^versions$/).forEach(line => {
+    const match = /^\s*([\w.-]+)\s*=\s*(?:"([^"]+)"|\{[^}]*?"([^"]+)")/.exec(line);
+    if (match) versions[match[1]] = match[2] || match[3];
+  });
+
+  const dependencies = getTomlSections(content, /^libraries$/).flatMap(line => {
+    const short = /^\s*[\w.-]+\s*=\s*"([^":]+):([^":]+):([^"]+)"/.exec(line);
+    if (short) {
+      return [{ name: `${short[1]}:${short[2]}`, version: short[3], direct: true, repository: null }];
+    }
+
+    const table = /^\s*[\w.-]+\s*=\s*\{(.*)\}/.exec(line)?.[1];
+    if (!table) return [];
+    const field = key => new RegExp(`(?:^|[\\s,])${key.replace('.', '\\.')}\\s*=\\s*"([^"]+)"`).exec(table)?.[1];
+
+    const name = field('module') || (field('group') && field('name') ? `${field('group')}:${field('name')}` : null);
+    const ref = field('version.ref') || /version\s*=\s*\{\s*ref\s*=\s*"([^"]+)"/.exec(table)?.[1];
+    const version = ref ? versions[ref] : field('version');
+
+    return name && version ? [{ name, version, direct: true, repository: null }] : [];
+  });
+
+  return { ecosystem: 'maven', dependencies };
+}
+
+/**
+ * Gradle dependency lock state (gradle.lockfile): "group:artifact:version=configurations"
+ */
+function readGradleLockfile(filePath) {
+  const dependencies = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).flatMap(line => {
+    const match = /^([^#:\s]+):([^:\s]+):([^=\s]+)=/.exec(line);
+    return match ? [{ name: `${match[1]}:${match[2]}`, version: match[3], direct: false, repository: null }] : [];
+  });
+
+  return { ecosystem: 'maven', dependencies };
+}
+
+const READERS = [
+  { pattern: /^composer\.lock$/, read: readComposerLock },
+  { pattern: /^package-lock\.json$/, read: readPackageLock },
+  { pattern: /^requirements.*\.txt$/, read: readRequirements },
+  { pattern: /^poetry\.lock$/, read: readPoetryLock },
+  { pattern: /^Pipfile\.lock$/, read: readPipfileLock },
+  { pattern: /^Podfile\.lock$/, read: readPodfileLock },
+  { pattern: /\.versions\.toml$/, read: readVersionCatalog },
+  { pattern: /\.lockfile$/, read: readGradleLockfile }
+];
+
+/**
+ * Read a manifest, choosing the format by file name
+ */
+function readManifest(filePath) {
+  const reader = READERS.find(candidate => candidate.pattern.test(path.basename(filePath)));
+  if (!reader) {
+    throw new Error(`Unsupported manifest: ${path.basename(filePath)}`);
+  }
+  return reader.read(filePath);
+}
+
+/**
+ * Compare package names the way the ecosystem does
+ */
+function isSamePackage(ecosystem, a, b) {
+  if (!a || !b) return false;
+  if (ecosystem === 'pypi') return normalizePythonName(a) === normalizePythonName(b);
+  return ecosystem === 'composer' ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+module.exports = {
+  readManifest,
+  isSamePackage
+};
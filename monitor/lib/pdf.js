@@ -0,0 +1,641 @@
+/**
+ * Minimal PDF text extractor (zero dependencies, no native modules)
+ * Handles FlateDecode streams, object streams, page trees and ToUnicode CMaps.
+ * Fonts without a ToUnicode map fall back to Latin-1 (simple fonts) or are skipped (CID fonts).
+ */
+
+const zlib = require('zlib');
+
+/**
+ * PDF object reference
+ */
+class Ref {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+const DELIMITERS = '()<>[]{}/%';
+const WHITESPACE = '\x00\t\n\x0c\r ';
+
+function isWhitespace(ch) {
+  return WHITESPACE.includes(ch);
+}
+
+// End of input (distinct from the PDF `null` keyword, which reads as null)
+const EOF = Symbol('EOF');
+
+function isRegular(ch) {
+  return ch !== undefined && !isWhitespace(ch) && !DELIMITERS.includes(ch);
+}
+
+/**
+ * Tokenizer/parser over a Latin-1 string (one char per byte)
+ */
+class Lexer {
+  constructor(data, pos = 0) {
+    this.data = data;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { data } = this;
+    while (this.pos < data.length) {
+      const ch = data[this.pos];
+      if (isWhitespace(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < data.length && data[this.pos] !== '\n' && data[this.pos] !== '\r') {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  readLiteralString() {
+    const { data } = this;
+    let depth = 1;
+    let out = '';
+    this.pos++; // (
+
+    while (this.pos < data.length && depth > 0) {
+      const ch = data[this.pos++];
+      if (ch === '\\') {
+        const next = data[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) {
+          out += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(data[this.pos])) {
+            octal += data[this.pos++];
+          }
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (data[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        depth--;
+        if (depth > 0) out += ch;
+      } else {
+        out += ch;
+      }
+    }
+
+    return { string: out };
+  }
+
+  readHexString() {
+    const { data } = this;
+    this.pos++; // <
+    let hex = '';
+    while (this.pos < data.length && data[this.pos] !== '>') {
+      const ch = data[this.pos++];
+      if (/[0-9a-fA-F]/.test(ch)) hex += ch;
+    }
+    this.pos++; // >
+    if (hex.length % 2 === 1) hex += '0';
+
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      out += String.fromCharCode(parseInt(hex.substring(i, i + 2), 16));
+    }
+    return { string: out };
+  }
+
+  readName() {
+    const { data } = this;
+    this.pos++; // /
+    let name = '';
+    while (isRegular(data[this.pos])) {
+      name += data[this.pos++];
+    }
+    return `/${name.replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))}`;
+  }
+
+  /**
+   * Read the next raw token (operators and keywords are returned as { op }, EOF at the end)
+   */
+  readToken() {
+    this.skipWhitespace();
+    const { data } = this;
+    if (this.pos >= data.length) return EOF;
+
+    const ch = data[this.pos];
+
+    if (ch === '(') return this.readLiteralString();
+    if (ch === '/') return this.readName();
+    if (ch === '<') {
+      if (data[this.pos + 1] === '<') {
+        this.pos += 2;
+        return { op: '<<' };
+      }
+      return this.readHexString();
+    }
+    if (ch === '>' && data[this.pos + 1] === '>') {
+      this.pos += 2;
+      return { op: '>>' };
+    }
+    if (ch === '[' || ch === ']' || ch === '{' || ch === '}') {
+      this.pos++;
+      return { op: ch };
+    }
+
+    let word = '';
+    while (isRegular(data[this.pos])) {
+      word += data[this.pos++];
+    }
+    if (!word) {
+      this.pos++;
+      return { op: ch };
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return Number(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  }
+
+  /**
+   * Parse one complete object (dictionaries, arrays and `n g R` references); null at the end
+   */
+  readObject() {
+    const token = this.readToken();
+
+    if (token && token.op === '<<') {
+      const dict = {};
+      for (;;) {
+        const key = this.readToken();
+        if (key === EOF || (key && key.op === '>>')) break;
+        if (typeof key !== 'string') continue;
+        dict[key] = this.readObject();
+      }
+      return dict;
+    }
+
+    if (token && token.op === '[') {
+      const array = [];
+      for (;;) {
+        const save = this.pos;
+        const next = this.readToken();
+        if (next === EOF || (next && next.op === ']')) break;
+        this.pos = save;
+        array.push(this.readObject());
+      }
+      return array;
+    }
+
+    if (typeof token === 'number' && Number.isInteger(token)) {
+      // Look ahead for "gen R"
+      const save = this.pos;
+      const gen = this.readToken();
+      if (typeof gen === 'number' && Number.isInteger(gen)) {
+        const r = this.readToken();
+        if (r && r.op === 'R') return new Ref(token, gen);
+      }
+      this.pos = save;
+    }
+
+    return token === EOF ? null : token;
+  }
+}
+
+/**
+ * Decode stream data according to its /Filter (null when it carries no text or is corrupt)
+ */
+function decodeStream(dict, raw) {
+  const filters = [].concat(dict['/Filter'] || []);
+  let data = Buffer.from(raw, 'latin1');
+
+  for (const filter of filters) {
+    if (filter === '/FlateDecode' || filter === '/Fl') {
+      try {
+        data = zlib.inflateSync(data);
+      } catch (e) {
+        // Truncated or slightly malformed streams are common; salvage what inflates
+        try {
+          data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (error) {
+          // Corrupt beyond salvage: skip this stream, not the whole document
+          return null;
+        }
+      }
+    } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+      const hex = data.toString('latin1').replace(/[^0-9a-fA-F]/g, '');
+      data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    } else {
+      // Image and other filters carry no text
+      return null;
+    }
+  }
+
+  return data.toString('latin1');
+}
+
+/**
+ * Parse all indirect objects, including those packed in object streams
+ */
+function parseObjects(data) {
+  const objects = new Map();
+  const objRegex = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = objRegex.exec(data)) !== null) {
+    const num = parseInt(match[1], 10);
+    const lexer = new Lexer(data, objRegex.lastIndex);
+    let value;
+    try {
+      value = lexer.readObject();
+    } catch (e) {
+      continue;
+    }
+
+    const entry = { value, stream: null };
+
+    // Stream body follows the dictionary
+    lexer.skipWhitespace();
+    if (data.startsWith('stream', lexer.pos) && value && typeof value === 'object') {
+      let start = lexer.pos + 'stream'.length;
+      if (data[start] === '\r') start++;
+      if (data[start] === '\n') start++;
+
+      // Trust a direct /Length when "endstream" follows it; otherwise search for it
+      const length = value['/Length'];
+      let end = -1;
+      if (typeof length === 'number') {
+        const after = data.indexOf('endstream', start + length);
+        if (after !== -1 && after - (start + length) <= 2) end = start + length;
+      }
+      if (end === -1) {
+        end = data.indexOf('endstream', start);
+        while (end > start && (data[end - 1] === '\n' || data[end - 1] === '\r')) end--;
+      }
+      if (end > start) {
+        entry.stream = data.substring(start, end);
+        objRegex.lastIndex = end;
+      }
+    }
+
+    // Later revisions (incremental updates) override earlier definitions
+    objects.set(num, entry);
+  }
+
+  // Expand object streams (PDF 1.5+)
+  for (const entry of [...objects.values()]) {
+    if (!entry.stream || entry.value['/Type'] !== '/ObjStm') continue;
+
+    const decoded = decodeStream(entry.value, entry.stream);
+    if (!decoded) continue;
+
+    const count = entry.value['/N'] || 0;
+    const first = entry.value['/First'] || 0;
+    const header = new Lexer(decoded.substring(0, first));
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      const num = header.readToken();
+      const offset = header.readToken();
+      if (typeof num !== 'number' || typeof offset !== 'number') break;
+      offsets.push([num, offset]);
+    }
+
+    offsets.forEach(([num, offset]) => {
+      if (objects.has(num)) return;
+      try {
+        const value = new Lexer(decoded, first + offset).readObject();
+        objects.set(num, { value, stream: null });
+      } catch (e) {
+        // Skip unparseable embedded objects
+      }
+    });
+  }
+
+  return objects;
+}
+
+/**
+ * Parse a ToUnicode CMap into { codeLength, map }
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const hexToString = (hex) => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      out += String.fromCharCode(parseInt(hex.substring(i, i + 4), 16));
+    }
+    if (hex.length === 2) out = String.fromCharCode(parseInt(hex, 16));
+    return out;
+  };
+
+  const spaceMatch = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  if (spaceMatch) codeLength = spaceMatch[1].length / 2;
+
+  const charBlocks = cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach(block => {
+    const pairRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let pair;
+    while ((pair = pairRegex.exec(block)) !== null) {
+      map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+    }
+  });
+
+  const rangeBlocks = cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach(block => {
+    const rangeRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+    let range;
+    while ((range = rangeRegex.exec(block)) !== null) {
+      const low = parseInt(range[1], 16);
+      const high = parseInt(range[2], 16);
+      if (high - low > 0xffff) continue;
+
+      if (range[3] !== undefined) {
+        const base = range[3];
+        const prefix = base.substring(0, base.length - 4);
+        const start = parseInt(base.substring(base.length - 4), 16);
+        for (let code = low; code <= high; code++) {
+          map.set(code, hexToString(prefix + (start + code - low).toString(16).padStart(4, '0')));
+        }
+      } else {
+        const targets = range[4].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((target, idx) => {
+          map.set(low + idx, hexToString(target.slice(1, -1)));
+        });
+      }
+    }
+  });
+
+  return { codeLength, map };
+}
+
+/**
+ * Build a byte-string decoder for a font dictionary
+ */
+function createFontDecoder(fontDict, resolve, streamOf) {
+  const toUnicodeRef = fontDict && fontDict['/ToUnicode'];
+  const cmapData = toUnicodeRef ? streamOf(toUnicodeRef) : null;
+
+  if (cmapData) {
+    const { codeLength, map } = parseToUnicode(cmapData);
+    return (bytes) => {
+      let out = '';
+      for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        let code = 0;
+        for (let k = 0; k < codeLength; k++) {
+          code = (code << 8) | bytes.charCodeAt(i + k);
+        }
+        out += map.has(code) ? map.get(code) : '';
+      }
+      return out;
+    };
+  }
+
+  // Composite (CID) fonts without ToUnicode cannot be mapped without external CMaps
+  if (fontDict && resolve(fontDict['/Subtype']) === '/Type0') {
+    return () => '';
+  }
+
+  return (bytes) => bytes;
+}
+
+/**
+ * Extract text lines from a content stream
+ */
+function extractContentText(content, fonts) {
+  const lexer = new Lexer(content);
+  const lines = [];
+  let line = '';
+  let operands = [];
+  let decode = (bytes) => bytes;
+  let lastY = null;
+
+  const newLine = () => {
+    if (line.trim()) lines.push(line);
+    line = '';
+  };
+
+  for (;;) {
+    let token;
+    try {
+      token = lexer.readToken();
+    } catch (e) {
+      break;
+    }
+    if (token === EOF) break;
+
+    if (!token || token.op === undefined) {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.op) {
+      case '[':
+        operands.push('[');
+        continue;
+      case ']': {
+        const start = operands.lastIndexOf('[');
+        const array = operands.splice(start);
+        array.shift();
+        operands.push(array);
+        continue;
+      }
+      case 'BI':
+        // Skip inline image data
+        lexer.pos = content.indexOf('EI', lexer.pos) + 2;
+        if (lexer.pos < 2) lexer.pos = content.length;
+        break;
+      case 'BT':
+        lastY = null;
+        break;
+      case 'ET':
+        newLine();
+        break;
+      case 'Tf':
+        decode = fonts[operands[0]] || ((bytes) => bytes);
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1]) newLine();
+        else if (operands[0] > 0 && line && !line.endsWith(' ')) line += ' ';
+        break;
+      case 'Tm': {
+        const y = operands[5];
+        if (lastY !== null && y !== lastY) newLine();
+        lastY = y;
+        break;
+      }
+      case 'T*':
+        newLine();
+        break;
+      case 'Tj':
+        if (operands[0] && operands[0].string !== undefined) line += decode(operands[0].string);
+        break;
+      case "'":
+      case '"':
+        newLine();
+        if (operands[operands.length - 1]?.string !== undefined) {
+          line += decode(operands[operands.length - 1].string);
+        }
+        break;
+      case 'TJ':
+        (operands[0] || []).forEach(part => {
+          if (part && part.string !== undefined) {
+            line += decode(part.string);
+          } else if (typeof part === 'number' && part < -200 && !line.endsWith(' ')) {
+            line += ' ';
+          }
+        });
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  newLine();
+  return lines;
+}
+
+/**
+ * Parse a PDF date string (D:YYYYMMDDHHmmSS+HH'mm') to epoch milliseconds
+ */
+function parsePdfDate(value) {
+  const match = /D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', tz, tzHour, tzMinute] = match;
+  let offset = 'Z';
+  if (tz === '+' || tz === '-') {
+    offset = `${tz}${tzHour || '00'}:${tzMinute || '00'}`;
+  }
+
+  const time = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Extract text lines and document info from a PDF buffer
+ */
+function extractPdfText(buffer) {
+  const data = buffer.toString('latin1');
+
+  if (!data.startsWith('%PDF-')) {
+    throw new Error('Not a PDF document');
+  }
+
+  const objects = parseObjects(data);
+
+  const resolve = (value, depth = 0) => {
+    if (value instanceof Ref && depth < 10) {
+      return resolve(objects.get(value.num)?.value, depth + 1);
+    }
+    return value;
+  };
+
+  const streamOf = (ref) => {
+    const entry = ref instanceof Ref ? objects.get(ref.num) : null;
+    return entry && entry.stream ? decodeStream(entry.value, entry.stream) : null;
+  };
+
+  // Trailer dictionary (classic trailer or cross-reference stream)
+  let trailer = {};
+  const trailerIndex = data.lastIndexOf('trailer');
+  if (trailerIndex !== -1) {
+    trailer = new Lexer(data, trailerIndex + 'trailer'.length).readObject() || {};
+  } else {
+    for (const entry of objects.values()) {
+      if (entry.value && entry.value['/Type'] === '/XRef') trailer = entry.value;
+    }
+  }
+
+  if (trailer['/Encrypt']) {
+    throw new Error('Encrypted PDF is not supported');
+  }
+
+  // Walk the page tree in order, inheriting /Resources
+  const pages = [];
+  const walkPages = (node, inherited, depth = 0) => {
+    const dict = resolve(node);
+    if (!dict || depth > 50) return;
+    const resources = resolve(dict['/Resources']) || inherited;
+
+    if (dict['/Type'] === '/Pages' || dict['/Kids']) {
+      (resolve(dict['/Kids']) || []).forEach(kid => walkPages(kid, resources, depth + 1));
+    } else {
+      pages.push({ dict, resources });
+    }
+  };
+
+  const root = resolve(trailer['/Root']);
+  if (root) {
+    walkPages(root['/Pages'], null);
+  }
+
+  // Fall back to object order when the page tree could not be resolved
+  if (pages.length === 0) {
+    for (const entry of objects.values()) {
+      if (entry.value && entry.value['/Type'] === '/Page') {
+        pages.push({ dict: entry.value, resources: resolve(entry.value['/Resources']) });
+      }
+    }
+  }
+
+  const fontCache = new Map();
+  const lines = [];
+
+  pages.forEach(({ dict, resources }) => {
+    const fonts = {};
+    const fontDict = resolve(resources?.['/Font']) || {};
+    Object.entries(fontDict).forEach(([name, ref]) => {
+      const key = ref instanceof Ref ? ref.num : name;
+      if (!fontCache.has(key)) {
+        fontCache.set(key, createFontDecoder(resolve(ref), resolve, streamOf));
+      }
+      fonts[name] = fontCache.get(key);
+    });
+
+    // /Contents is a stream reference or an array (possibly indirect) of them
+    let contents = dict['/Contents'];
+    if (contents instanceof Ref && !objects.get(contents.num)?.stream) {
+      contents = resolve(contents);
+    }
+    contents = [].concat(contents || []);
+    const content = contents.map(ref => streamOf(ref) || '').join('\n');
+    lines.push(...extractContentText(content, fonts));
+  });
+
+  const info = resolve(trailer['/Info']) || {};
+  const infoString = (key) => {
+    const value = resolve(info[key]);
+    if (!value || value.string === undefined) return null;
+    // UTF-16BE strings start with a BOM
+    if (value.string.startsWith('\xfe\xff')) {
+      const bytes = Buffer.from(value.string.substring(2), 'latin1');
+      return bytes.subarray(0, bytes.length - (bytes.length % 2)).swap16().toString('utf16le');
+    }
+    return value.string;
+  };
+
+  return {
+    lines: lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean),
+    pageCount: pages.length,
+    info: {
+      title: infoString('/Title'),
+      modDate: parsePdfDate(infoString('/ModDate')),
+      creationDate: parsePdfDate(infoString('/CreationDate'))
+    }
+  };
+}
+
+module.exports = {
+  extractPdfText,
+  parsePdfDate
+};
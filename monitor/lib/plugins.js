@@ -0,0 +1,160 @@
+/**
+ * Fetcher plugins for source types that are not built in
+ *
+ * A source `type` resolves, in order, to:
+ *   1. plugins/<type>.js or plugins/<type>/index.js (monitor directory)
+ *   2. the npm package release-monitor-plugin-<type>
+ *   3. the npm package named <type> (e.g. "@acme/release-monitor-foo")
+ *
+ * A plugin module exports either a fetch function or an object:
+ *   module.exports = {
+ *     schema: { required: ['feedUrl'], properties: { feedUrl: { type: 'string' } } },
+ *     async fetch(source, helpers) { return [{ id, title, url, description, publishedAt }]; }
+ *   };
+ */
+
+const path = require('path');
+
+const MONITOR_DIR = path.join(__dirname, '..');
+const PLUGIN_DIR = path.join(MONITOR_DIR, 'plugins');
+const PACKAGE_PREFIX = 'release-monitor-plugin-';
+
+// Local plugin names and npm package names (optionally scoped); no path traversal
+const PLUGIN_NAME_PATTERN = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+
+const loadedPlugins = new Map();
+
+function resolveModule(request) {
+  try {
+    return require.resolve(request, { paths: [MONITOR_DIR] });
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') return null;
+    throw error;
+  }
+}
+
+/**
+ * Load the plugin for a source type, or null when no plugin provides it
+ * Load errors (syntax errors, invalid exports) are thrown.
+ */
+function loadPlugin(type) {
+  if (loadedPlugins.has(type)) {
+    return loadedPlugins.get(type);
+  }
+
+  let plugin = null;
+
+  if (PLUGIN_NAME_PATTERN.test(type)) {
+    const candidates = type.startsWith('@')
+      ? [type]
+      : [path.join(PLUGIN_DIR, type), `${PACKAGE_PREFIX}${type}`, type];
+    const modulePath = candidates.map(resolveModule).find(Boolean);
+
+    if (modulePath) {
+      const exported = require(modulePath);
+      const fetch = typeof exported === 'function' ? exported : exported?.fetch;
+
+      if (typeof fetch !== 'function') {
+        throw new Error(`Plugin "${type}" (${modulePath}) must export a fetch function`);
+      }
+
+      plugin = {
+        type,
+        path: modulePath,
+        fetch,
+        schema: exported.schema || null
+      };
+    }
+  }
+
+  loadedPlugins.set(type, plugin);
+  return plugin;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a source against a plugin schema (a small JSON Schema subset:
+ * required, properties.{type, enum, default})
+ * Returns { source, errors } where `source` has defaults applied.
+ */
+function validateConfig(source, schema) {
+  if (!schema) {
+    return { source, errors: [] };
+  }
+
+  const errors = [];
+  const resolved = { ...source };
+  const properties = schema.properties || {};
+
+  Object.entries(properties).forEach(([key, rule]) => {
+    if (resolved[key] === undefined && rule.default !== undefined) {
+      resolved[key] = rule.default;
+    }
+  });
+
+  (schema.required || []).forEach(key => {
+    if (resolved[key] === undefined) {
+      errors.push(`"${key}" is required`);
+    }
+  });
+
+  Object.entries(properties).forEach(([key, rule]) => {
+    const value = resolved[key];
+    if (value === undefined) return;
+
+    if (rule.type && !checkType(value, rule.type)) {
+      errors.push(`"${key}" must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`);
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`"${key}" must be one of: ${rule.enum.join(', ')}`);
+    }
+  });
+
+  return { source: resolved, errors };
+}
+
+/**
+ * Normalize plugin results into the common item format, dropping invalid entries
+ */
+function normalizeItems(source, items) {
+  if (!Array.isArray(items)) {
+    throw new Error('Plugin fetch must return an array of items');
+  }
+
+  return items.flatMap(item => {
+    if (!item || !item.id || !item.title) {
+      console.warn(`[${source.id}] Plugin item skipped (id and title are required)`);
+      return [];
+    }
+
+    const publishedAt = item.publishedAt ? new Date(item.publishedAt).getTime() : Date.now();
+
+    return [{
+      ...item,
+      id: String(item.id),
+      title: String(item.title),
+      url: item.url || null,
+      description: String(item.description || '').substring(0, 500),
+      publishedAt: Number.isNaN(publishedAt) ? Date.now() : publishedAt,
+      source: source.id,
+      rawData: item.rawData || null
+    }];
+  });
+}
+
+module.exports = {
+  loadPlugin,
+  validateConfig,
+  normalizeItems
+};
@@ -0,0 +1,323 @@
+/**
+ * Package registry fetchers (npm, PyPI, Packagist, Maven, CocoaPods)
+ * Each emits one item per published version with version, publish time and
+ * deprecation/yanked flags. Flag changes produce a new item ID so they are notified.
+ */
+
+const { fetchUrl } = require('./http');
+const { isPrereleaseVersion, compareVersions } = require('./versions');
+
+// Full registry documents for large packages (firebase, boto3) can be tens of MB
+const REGISTRY_MAX_SIZE = 64 * 1024 * 1024;
+const MAX_VERSIONS = 10;
+
+function getMaxVersions(source) {
+  return source.maxItems || MAX_VERSIONS;
+}
+
+function getRegistryHttpOptions(source) {
+  return { maxSize: REGISTRY_MAX_SIZE, ...(source.http || {}) };
+}
+
+async function fetchJson(url, source) {
+  const body = await fetchUrl(url, {
+    ...getRegistryHttpOptions(source),
+    headers: { 'Accept': 'application/json' }
+  });
+  return JSON.parse(body);
+}
+
+/**
+ * Conditional GET: returns null on 304 Not Modified, else { etag, doc }
+ */
+async function fetchJsonIfChanged(url, source, etag) {
+  const headers = { 'Accept': 'application/json' };
+  if (etag) {
+    headers['If-None-Match'] = etag;
+  }
+
+  const response = await fetchUrl(url, {
+    ...getRegistryHttpOptions(source),
+    headers,
+    acceptStatus: [200, 304],
+    fullResponse: true
+  });
+  if (response.statusCode === 304) {
+    return null;
+  }
+  return { etag: response.headers.etag || null, doc: JSON.parse(response.body) };
+}
+
+function requirePackage(source) {
+  if (!source.package) {
+    throw new Error(`"package" is required for ${source.type} sources`);
+  }
+  return source.package;
+}
+
+/**
+ * Build a normalized version item
+ */
+function createVersionItem(source, registry, release) {
+  const flags = [
+    release.yanked ? 'yanked' : null,
+    release.deprecated ? 'deprecated' : null
+  ].filter(Boolean);
+
+  const details = [];
+  if (release.yanked) {
+    details.push(`Yanked${typeof release.yanked === 'string' ? `: ${release.yanked}` : ''}`);
+  }
+  if (release.deprecated) {
+    details.push(`Deprecated${typeof release.deprecated === 'string' ? `: ${release.deprecated}` : ''}`);
+  }
+  details.push(`Published to ${registry} as ${source.package} ${release.version}`);
+
+  return {
+    // Yanking or deprecating a version later yields a new ID, so the change is reported
+    id: `${registry}:${source.package}@${release.version}${flags.length ? `:${flags.join('+')}` : ''}`,
+    title: `${source.name} - ${release.version}${flags.length ? ` (${flags.join(', ')})` : ''}`,
+    url: release.url,
+    description: details.join('\n').substring(0, 500),
+    // Registries without a publish time for this version: leave it undated rather than "now"
+    publishedAt: release.publishedAt || null,
+    dateUnknown: !release.publishedAt,
+    version: release.version,
+    prerelease: isPrereleaseVersion(release.version),
+    yanked: Boolean(release.yanked),
+    deprecated: Boolean(release.deprecated),
+    source: source.id,
+    rawData: release
+  };
+}
+
+/**
+ * Keep the newest versions (by publish time, then version order; undated versions last)
+ */
+function selectLatest(releases, source) {
+  return releases
+    .sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0) || compareVersions(b.version, a.version))
+    .slice(0, getMaxVersions(source));
+}
+
+/**
+ * npm registry (full packument: `time` for publish dates, `deprecated` per version)
+ * The abbreviated install metadata has no publish times, so the packument is fetched
+ * conditionally: `state.previous` holds the last ETag and selected releases, which are
+ * reused on 304 Not Modified; the new ones are handed back in `state.data`.
+ */
+async function fetchNpm(source, state = {}) {
+  const name = requirePackage(source);
+  const encoded = name.startsWith('@') ? `@${encodeURIComponent(name.substring(1))}` : encodeURIComponent(name);
+  const previous = state.previous?.releases ? state.previous : null;
+  const response = await fetchJsonIfChanged(`https://registry.npmjs.org/${encoded}`, source, previous?.etag);
+
+  let releases;
+  if (response) {
+    const { doc } = response;
+    releases = selectLatest(Object.entries(doc.versions || {}).map(([version, meta]) => ({
+      version,
+      publishedAt: doc.time?.[version] ? new Date(doc.time[version]).getTime() : null,
+      deprecated: meta.deprecated || false,
+      yanked: false,
+      url: `https://www.npmjs.com/package/${name}/v/${version}`
+    })), source);
+    state.data = response.etag ? { etag: response.etag, releases } : null;
+  } else {
+    releases = previous.releases.slice(0, getMaxVersions(source));
+    state.data = previous;
+  }
+
+  return releases.map(release => createVersionItem(source, 'npm', release));
+}
+
+/**
+ * PyPI JSON API (a release is yanked when all of its files are yanked)
+ */
+async function fetchPyPI(source) {
+  const name = requirePackage(source);
+  const doc = await fetchJson(`https://pypi.org/pypi/${encodeURIComponent(name)}/json`, source);
+
+  const releases = Object.entries(doc.releases || {})
+    .filter(([, files]) => files.length > 0)
+    .map(([version, files]) => {
+      const uploaded = files
+        .map(file => new Date(file.upload_time_iso_8601 || file.upload_time).getTime())
+        .filter(time => !Number.isNaN(time));
+      const yanked = files.every(file => file.yanked);
+
+      return {
+        version,
+        publishedAt: uploaded.length > 0 ? Math.min(...uploaded) : null,
+        yanked: yanked ? (files[0].yanked_reason || true) : false,
+        deprecated: false,
+        url: `https://pypi.org/project/${name}/${version}/`
+      };
+    });
+
+  return selectLatest(releases, source).map(release => createVersionItem(source, 'pypi', release));
+}
+
+/**
+ * Expand Packagist's minified p2 format (each entry only lists changed keys)
+ */
+function expandPackagistVersions(versions) {
+  const expanded = [];
+  let previous = {};
+
+  versions.forEach(entry => {
+    const current = { ...previous };
+    Object.entries(entry).forEach(([key, value]) => {
+      if (value === '__unset') {
+        delete current[key];
+      } else {
+        current[key] = value;
+      }
+    });
+    expanded.push(current);
+    previous = current;
+  });
+
+  return expanded;
+}
+
+/**
+ * Packagist (Composer) metadata
+ * `abandoned` is a package-level flag (repeated on every version entry), so it is reported
+ * once as a deprecated package item rather than on each version, which would change their IDs.
+ */
+async function fetchPackagist(source) {
+  const name = requirePackage(source);
+  const doc = await fetchJson(`https://repo.packagist.org/p2/${name}.json`, source);
+
+  const entries = doc.packages?.[name] || [];
+  const versions = doc.minified === 'composer/2.0' ? expandPackagistVersions(entries) : entries;
+
+  const releases = versions.map(meta => ({
+    version: meta.version,
+    publishedAt: meta.time ? new Date(meta.time).getTime() : null,
+    deprecated: false,
+    yanked: false,
+    url: `https://packagist.org/packages/${name}#${meta.version}`
+  }));
+
+  const items = selectLatest(releases, source).map(release => createVersionItem(source, 'packagist', release));
+
+  // p2 lists the newest version first; its entry carries the current package flags
+  const abandoned = versions[0]?.abandoned;
+  if (abandoned) {
+    const replacement = typeof abandoned === 'string' ? abandoned : null;
+    items.unshift({
+      id: `packagist:${name}:abandoned`,
+      title: `${source.name} - package abandoned${replacement ? ` (use ${replacement})` : ''}`,
+      url: `https://packagist.org/packages/${name}`,
+      description: `${name} is marked as abandoned on Packagist${replacement ? `; suggested replacement: ${replacement}` : ''}`,
+      publishedAt: Date.now(),
+      version: null,
+      prerelease: false,
+      yanked: false,
+      deprecated: true,
+      source: source.id,
+      rawData: { package: name, abandoned }
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Maven artifacts (`package` is "group:artifact")
+ * Uses the Maven Central search API, or maven-metadata.xml when `repository` is set
+ * (e.g. Google Maven: https://dl.google.com/dl/android/maven2).
+ */
+async function fetchMaven(source) {
+  const [group, artifact] = requirePackage(source).split(':');
+  if (!group || !artifact) {
+    throw new Error(`Invalid Maven coordinates (expected group:artifact): ${source.package}`);
+  }
+
+  let releases;
+
+  if (source.repository) {
+    const base = source.repository.replace(/\/$/, '');
+    const metadataUrl = `${base}/${group.replace(/\./g, '/')}/${artifact}/maven-metadata.xml`;
+    const xml = await fetchUrl(metadataUrl, getRegistryHttpOptions(source));
+
+    const versions = [...xml.matchAll(/<version>([^<]+)<\/version>/g)].map(match => match[1].trim());
+    const latest = /<release>([^<]+)<\/release>/.exec(xml)?.[1] || /<latest>([^<]+)<\/latest>/.exec(xml)?.[1];
+    const lastUpdated = /<lastUpdated>(\d{14})<\/lastUpdated>/.exec(xml)?.[1];
+    const lastUpdatedAt = lastUpdated
+      ? Date.UTC(+lastUpdated.substring(0, 4), +lastUpdated.substring(4, 6) - 1, +lastUpdated.substring(6, 8),
+        +lastUpdated.substring(8, 10), +lastUpdated.substring(10, 12), +lastUpdated.substring(12, 14))
+      : null;
+
+    // maven-metadata.xml has no per-version dates; only the latest release gets lastUpdated
+    releases = [...new Set(versions)]
+      .sort((a, b) => compareVersions(b, a))
+      .slice(0, getMaxVersions(source))
+      .map(version => ({
+        version,
+        publishedAt: version === latest ? lastUpdatedAt : null,
+        deprecated: false,
+        yanked: false,
+        url: metadataUrl
+      }));
+  } else {
+    const query = encodeURIComponent(`g:"${group}" AND a:"${artifact}"`);
+    const doc = await fetchJson(
+      `https://search.maven.org/solrsearch/select?q=${query}&core=gav&rows=${getMaxVersions(source)}&wt=json`,
+      source
+    );
+
+    releases = (doc.response?.docs || []).map(entry => ({
+      version: entry.v,
+      publishedAt: entry.timestamp || null,
+      deprecated: false,
+      yanked: false,
+      url: `https://central.sonatype.com/artifact/${group}/${artifact}/${entry.v}`
+    }));
+  }
+
+  return selectLatest(releases, source).map(release => createVersionItem(source, 'maven', release));
+}
+
+/**
+ * CocoaPods trunk API (deprecation comes from the latest podspec)
+ */
+async function fetchCocoaPods(source) {
+  const name = requirePackage(source);
+  const base = `https://trunk.cocoapods.org/api/v1/pods/${encodeURIComponent(name)}`;
+  const doc = await fetchJson(base, source);
+
+  const releases = selectLatest((doc.versions || []).map(version => ({
+    version: version.name,
+    publishedAt: version.created_at ? new Date(version.created_at).getTime() : null,
+    deprecated: false,
+    yanked: false,
+    url: `https://cocoapods.org/pods/${name}`
+  })), source);
+
+  if (releases.length > 0) {
+    try {
+      const latest = releases.reduce((a, b) => (compareVersions(a.version, b.version) >= 0 ? a : b));
+      const spec = await fetchJson(`${base}/specs/${encodeURIComponent(latest.version)}`, source);
+      if (spec.deprecated || spec.deprecated_in_favor_of) {
+        latest.deprecated = spec.deprecated_in_favor_of
+          ? `deprecated in favor of ${spec.deprecated_in_favor_of}`
+          : true;
+      }
+    } catch (error) {
+      console.warn(`[${source.id}] Podspec lookup failed:`, error.message);
+    }
+  }
+
+  return releases.map(release => createVersionItem(source, 'cocoapods', release));
+}
+
+module.exports = {
+  fetchNpm,
+  fetchPyPI,
+  fetchPackagist,
+  fetchMaven,
+  fetchCocoaPods
+};
@@ -0,0 +1,278 @@
+/**
+ * Scoring rules loaded from config/scoring.json
+ *
+ *   {
+ *     "rules": {
+ *       "critical": ["cve-", { "regex": "\\bRCE\\b", "field": "title" }],
+ *       "high": [{ "keyword": "deprecated", "unless": "\\bdocs?\\b" }]
+ *     },
+ *     "exclude": ["(?:^|\\n)docs:[^\\n]*"],
+ *     "categories": { "app": { "rules": { "high": ["app store"] } } },
+ *     "sources": { "laravel": { "disable": ["removed"], "exclude": ["..."] } },
+ *     "weights": { "keywords": { "critical": 60 }, "trust": { "low": -10 } },
+ *     "thresholds": { "critical": 85, "high": 50, "medium": 25 }
+ *   }
+ *
+ * A rule is a keyword (word-boundary match) or a regex, optionally scoped to the title or
+ * description and suppressed by an `unless` pattern. `exclude` patterns are stripped from
+ * the text before any rule is matched. Category, then source overrides add rules and
+ * exclusions and can `disable` inherited rules by keyword or regex.
+ *
+ * `weights` are the points each scoring factor adds (omitted entries keep the defaults
+ * below) and `thresholds` the minimum total for each severity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'scoring.json');
+
+const LEVELS = ['critical', 'high', 'medium', 'low'];
+const FIELDS = ['any', 'title', 'description'];
+
+const DEFAULT_WEIGHTS = {
+  // Strongest matched rule of each level; every further match adds `additionalKeyword`
+  keywords: { critical: 60, high: 25, medium: 5, low: -10 },
+  additionalKeyword: 2,
+  // Baseline from the source's severityHint (no hint counts as low)
+  severityHint: { critical: 85, high: 55, medium: 30, low: 10 },
+  // Source `trust` (no trust counts as normal)
+  trust: { high: 10, normal: 0, low: -10 },
+  versionJump: { major: 25, minor: 5, patch: 0 },
+  prerelease: -30,
+  yanked: 40,
+  deprecated: 40,
+  // Relationship to the versions in use (lib/dependencies.js)
+  usage: { securityFix: 100, ourLine: 0, newLine: 0, notInUse: -100 }
+};
+
+const DEFAULT_THRESHOLDS = { critical: 85, high: 50, medium: 25 };
+
+function checkObject(value, where) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${where} must be an object`);
+  }
+}
+
+function checkKeys(value, allowed, where) {
+  checkObject(value, where);
+  Object.keys(value).forEach(key => {
+    if (!allowed.includes(key) && key !== 'note') {
+      throw new Error(`${where}: unknown key "${key}"`);
+    }
+  });
+}
+
+function compileRegex(pattern, flags, where) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new Error(`${where}: pattern must be a non-empty string`);
+  }
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+function checkField(field, where) {
+  if (!FIELDS.includes(field)) {
+    throw new Error(`${where}: "field" must be one of: ${FIELDS.join(', ')}`);
+  }
+  return field;
+}
+
+function compileRule(entry, where) {
+  const rule = typeof entry === 'string' ? { keyword: entry } : entry;
+  checkKeys(rule, ['keyword', 'regex', 'field', 'unless', 'label', 'weight'], where);
+
+  if (Boolean(rule.keyword) === Boolean(rule.regex)) {
+    throw new Error(`${where}: exactly one of "keyword" or "regex" is required`);
+  }
+  if (rule.keyword !== undefined && typeof rule.keyword !== 'string') {
+    throw new Error(`${where}: "keyword" must be a string`);
+  }
+  if (rule.weight !== undefined && !Number.isFinite(rule.weight)) {
+    throw new Error(`${where}: "weight" must be a number`);
+  }
+
+  return {
+    key: (rule.keyword || rule.regex).toLowerCase(),
+    label: rule.label || rule.keyword || rule.regex,
+    field: checkField(rule.field || 'any', where),
+    // Matched against NFKC-normalized text, so full-width keywords are folded the same way
+    keyword: rule.keyword ? rule.keyword.normalize('NFKC').toLowerCase() : null,
+    regex: rule.regex ? compileRegex(rule.regex, 'i', where) : null,
+    unless: rule.unless ? compileRegex(rule.unless, 'i', where) : null,
+    // Overrides the level's keyword weight
+    weight: rule.weight ?? null
+  };
+}
+
+function compileExclusion(entry, where) {
+  const exclusion = typeof entry === 'string' ? { pattern: entry } : entry;
+  checkKeys(exclusion, ['pattern', 'field'], where);
+
+  return {
+    field: checkField(exclusion.field || 'any', where),
+    pattern: compileRegex(exclusion.pattern, 'gi', where)
+  };
+}
+
+function compileList(value, where, compile) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`${where} must be an array`);
+  }
+  return value.map((entry, index) => compile(entry, `${where}[${index}]`));
+}
+
+/**
+ * Compile a rule set: the top level, or one category/source override
+ */
+function compileRuleSet(value, where, allowed) {
+  checkKeys(value, allowed, where);
+
+  const rules = {};
+  if (value.rules !== undefined) {
+    checkKeys(value.rules, LEVELS, `${where}.rules`);
+  }
+  LEVELS.forEach(level => {
+    rules[level] = compileList(value.rules?.[level], `${where}.rules.${level}`, compileRule);
+  });
+
+  const disable = value.disable === undefined ? [] : value.disable;
+  if (!Array.isArray(disable) || disable.some(key => typeof key !== 'string')) {
+    throw new Error(`${where}.disable must be an array of strings`);
+  }
+
+  return {
+    rules,
+    exclude: compileList(value.exclude, `${where}.exclude`, compileExclusion),
+    disable: disable.map(key => key.toLowerCase())
+  };
+}
+
+function compileOverrides(value, where) {
+  if (value === undefined) return {};
+  checkObject(value, where);
+
+  const overrides = {};
+  Object.entries(value).forEach(([name, override]) => {
+    overrides[name] = compileRuleSet(override, `${where}.${name}`, ['rules', 'exclude', 'disable']);
+  });
+  return overrides;
+}
+
+/**
+ * Merge configured numbers over `defaults`, keeping its shape (numbers or maps of numbers)
+ */
+function mergeNumbers(defaults, value, where) {
+  if (value === undefined) return { ...defaults };
+  checkKeys(value, Object.keys(defaults), where);
+
+  const merged = { ...defaults };
+  Object.entries(value).forEach(([key, entry]) => {
+    if (key === 'note') return;
+    if (typeof defaults[key] === 'object') {
+      merged[key] = mergeNumbers(defaults[key], entry, `${where}.${key}`);
+    } else if (Number.isFinite(entry)) {
+      merged[key] = entry;
+    } else {
+      throw new Error(`${where}.${key} must be a number`);
+    }
+  });
+  return merged;
+}
+
+function compileThresholds(value, where) {
+  const thresholds = mergeNumbers(DEFAULT_THRESHOLDS, value, where);
+  if (!(thresholds.critical > thresholds.high && thresholds.high > thresholds.medium)) {
+    throw new Error(`${where} must be ordered critical > high > medium`);
+  }
+  return thresholds;
+}
+
+/**
+ * Validate and compile a parsed scoring config; throws on the first invalid entry
+ */
+function compileScoringRules(config) {
+  const base = compileRuleSet(config, 'scoring', ['rules', 'exclude', 'categories', 'sources', 'weights', 'thresholds']);
+
+  return {
+    base,
+    weights: mergeNumbers(DEFAULT_WEIGHTS, config.weights, 'scoring.weights'),
+    thresholds: compileThresholds(config.thresholds, 'scoring.thresholds'),
+    categories: compileOverrides(config.categories, 'scoring.categories'),
+    sources: compileOverrides(config.sources, 'scoring.sources'),
+    resolved: new Map()
+  };
+}
+
+/**
+ * Load config/scoring.json (or `filePath`) and compile it
+ */
+function loadScoringRules(filePath = DEFAULT_RULES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scoring rules not found: ${filePath}`);
+  }
+
+  try {
+    return compileScoringRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid scoring rules (${path.basename(filePath)}): ${error.message}`);
+  }
+}
+
+/**
+ * Effective rules for a source: top level, then its category, then the source override
+ */
+function getSourceRules(scoringRules, source) {
+  const cacheKey = `${source.category}|${source.id}`;
+  if (scoringRules.resolved.has(cacheKey)) {
+    return scoringRules.resolved.get(cacheKey);
+  }
+
+  const layers = [
+    scoringRules.base,
+    scoringRules.categories[source.category],
+    scoringRules.sources[source.id]
+  ].filter(Boolean);
+
+  const rules = {};
+  LEVELS.forEach(level => {
+    rules[level] = [];
+  });
+  let exclude = [];
+
+  layers.forEach(layer => {
+    LEVELS.forEach(level => {
+      rules[level] = rules[level]
+        .filter(rule => !layer.disable.includes(rule.key))
+        .concat(layer.rules[level]);
+    });
+    exclude = exclude.concat(layer.exclude);
+  });
+
+  const resolved = { rules, exclude };
+  scoringRules.resolved.set(cacheKey, resolved);
+  return resolved;
+}
+
+/**
+ * Overrides that name no configured source or category (likely typos)
+ */
+function findUnknownOverrides(scoringRules, sources) {
+  const sourceIds = new Set(sources.map(source => source.id));
+  const categories = new Set(sources.map(source => source.category));
+
+  return [
+    ...Object.keys(scoringRules.sources).filter(id => !sourceIds.has(id)).map(id => `sources.${id}`),
+    ...Object.keys(scoringRules.categories).filter(name => !categories.has(name)).map(name => `categories.${name}`)
+  ];
+}
+
+module.exports = {
+  loadScoringRules,
+  getSourceRules,
+  findUnknownOverrides
+};
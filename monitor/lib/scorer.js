@@ -1,8 +1,14 @@
 /**
- * Rule-based severity scoring system
- * Analyzes title and description for keywords to determine severity level
+ * Weighted severity scoring system
+ * Adds up points for keywords in the title and description, the source's hint and trust,
+ * the version jump, registry flags, in-use versions and pre-release status; the total maps
+ * to a severity level. Rules, weights and thresholds live in config/scoring.json (see lib/rules.js).
  */
 
+const { loadScoringRules, getSourceRules } = require('./rules');
+const { getInUseVersions, getVersionRelationship } = require('./dependencies');
+const { extractVersion, compareVersions } = require('./versions');
+
 const SEVERITY_LEVELS = {
   CRITICAL: 'critical',
   HIGH: 'high',
@@ -10,75 +16,6 @@ const SEVERITY_LEVELS = {
   LOW: 'low'
 };
 
-// Keywords and their severity weights
-// Use word boundaries to avoid false positives (e.g., "rce" in "resource")
-const CRITICAL_KEYWORDS = [
-  'security vulnerability',
-  'security issue',
-  'vulnerability',
-  'cve-',
-  'remote code execution',
-  'certificate expir',
-  'service disruption',
-  'outage',
-  'forced upgrade',
-  'end-of-life',
-  'eol imminent',
-  'critical security',
-  'zero-day',
-  'exploit',
-  'malicious',
-  'data breach',
-  'unauthorized access'
-];
-
-const HIGH_KEYWORDS = [
-  'breaking change',
-  'breaking:',
-  'deprecated',
-  'deprecation',
-  'removal',
-  'removed',
-  'required action',
-  'action required',
-  'must upgrade',
-  'must update',
-  'major version',
-  'api removal',
-  'pricing change',
-  'price increase',
-  'end of support',
-  'migration required',
-  'incompatible',
-  'required update',
-  'urgent'
-];
-
-const MEDIUM_KEYWORDS = [
-  'minor version',
-  'new feature',
-  'enhancement',
-  'improvement',
-  'performance',
-  'bug fix',
-  'known issue',
-  'workaround',
-  'recommended update',
-  'update available',
-  'patch',
-  'maintenance'
-];
-
-const LOW_KEYWORDS = [
-  'documentation',
-  'informational',
-  'announce',
-  'note',
-  'preview',
-  'beta',
-  'alpha'
-];
-
 /**
  * Match keyword with word boundary awareness
  * Avoids false positives like "rce" matching "resource"
@@ -92,106 +29,232 @@ function matchKeyword(text, keyword) {
   }
 
   // Use word boundary regex to avoid partial matches
-  // \b ensures we match whole words only
-  const regex = new RegExp(`\\b${lowerKeyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+  // \b only applies at ASCII word edges: Japanese has no spaces between words, so
+  // "脆弱性" or the tail of "API廃止" must match inside a sentence
+  const start = /^\w/.test(lowerKeyword) ? '\\b' : '';
+  const end = /\w$/.test(lowerKeyword) ? '\\b' : '';
+  const regex = new RegExp(`${start}${lowerKeyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}${end}`, 'i');
   return regex.test(text);
 }
 
+// Security fixes on a line we run get the `usage.securityFix` weight
+const SECURITY_PATTERN = /\bsecurity\b|\bcve-\d|vulnerab|脆弱性|セキュリティ/;
+
+let scoringRules = null;
+
 /**
- * Calculate severity score for an item
+ * Load and validate the scoring rules; run.js calls this at startup so config errors fail fast
  */
-function scoreItem(item, source) {
-  const text = `${item.title} ${item.description}`.toLowerCase();
-  const matches = {
-    critical: [],
-    high: [],
-    medium: [],
-    low: []
-  };
+function loadScoringConfig(filePath) {
+  scoringRules = loadScoringRules(filePath);
+  return scoringRules;
+}
 
-  // Check critical keywords
-  CRITICAL_KEYWORDS.forEach(keyword => {
-    if (matchKeyword(text, keyword)) {
-      matches.critical.push(keyword);
-    }
-  });
+function getScoringRules() {
+  return scoringRules || loadScoringConfig();
+}
 
-  // Check high keywords
-  HIGH_KEYWORDS.forEach(keyword => {
-    if (matchKeyword(text, keyword)) {
-      matches.high.push(keyword);
-    }
-  });
+// Registry flag labels: the " (yanked, deprecated)" title suffix and "Deprecated:" description lines
+const REGISTRY_FLAG_LABELS = /\s*\((?:yanked|deprecated)(?:, (?:yanked|deprecated))*\)|^(?:yanked|deprecated)\b/gim;
 
-  // Check medium keywords
-  MEDIUM_KEYWORDS.forEach(keyword => {
-    if (matchKeyword(text, keyword)) {
-      matches.medium.push(keyword);
-    }
-  });
+/**
+ * Normalized title, description and combined text with exclusion patterns stripped
+ * NFKC folds full-width alphanumerics (ＣＶＥ) and half-width katakana (ｻﾎﾟｰﾄ) before matching.
+ * Labels of registry flags are dropped too: the flags have their own weights, and the
+ * "deprecated" keyword would count them twice (a deprecation message still counts).
+ */
+function getScopedTexts(item, exclude) {
+  const flagged = item.yanked || item.deprecated;
+  const strip = (text, field) => exclude
+    .filter(exclusion => exclusion.field === 'any' || exclusion.field === field)
+    .reduce(
+      (result, exclusion) => result.replace(exclusion.pattern, ' '),
+      (flagged ? text.replace(REGISTRY_FLAG_LABELS, ' ') : text).normalize('NFKC')
+    );
 
-  // Check low keywords
-  LOW_KEYWORDS.forEach(keyword => {
-    if (matchKeyword(text, keyword)) {
-      matches.low.push(keyword);
+  const title = strip(String(item.title || ''), 'title').toLowerCase();
+  const description = strip(String(item.description || ''), 'description').toLowerCase();
+
+  return { title, description, any: `${title} ${description}` };
+}
+
+function matchRule(text, rule) {
+  if (rule.unless && rule.unless.test(text)) {
+    return false;
+  }
+  return rule.keyword ? matchKeyword(text, rule.keyword) : rule.regex.test(text);
+}
+
+/**
+ * Usage weight for how a release relates to the versions we use (see lib/dependencies.js)
+ * Returns the `weights.usage` key and the reason to show first.
+ */
+function getUsageFactor(relationship, text) {
+  const { relation, line, ourLine, linesBehind } = relationship;
+  const behind = linesBehind > 0 ? `, ${linesBehind} major${linesBehind > 1 ? 's' : ''} behind` : '';
+
+  if (relation === 'ours') {
+    if (SECURITY_PATTERN.test(text)) {
+      return { key: 'securityFix', reason: `security fix on our line (${line}.x)` };
     }
-  });
+    const kind = relationship.backport ? 'backport to our line' : 'our line';
+    return { key: 'ourLine', reason: `${kind} (${line}.x${behind})` };
+  }
+
+  if (relation === 'newer' && relationship.firstOfLine) {
+    const kind = line.startsWith('0.') ? 'minor' : 'major';
+    return { key: 'newLine', reason: `new ${kind} line ${line}.x (we use ${ourLine}.x${behind})` };
+  }
+
+  return { key: 'notInUse', reason: `${relation} line ${line}.x, not in use (we use ${ourLine}.x)` };
+}
+
+/**
+ * Size of a version jump: against the newest version in use when known, otherwise from
+ * the version itself (X.0.0 is a major release, X.Y.0 a minor one)
+ */
+function getVersionJump(version, inUseVersions) {
+  const parts = value => value.split(/[-+]/)[0].split('.').map(part => parseInt(part, 10) || 0);
+  const [major, minor = 0, patch = 0] = parts(version);
+  const current = [...inUseVersions].sort(compareVersions).pop();
+
+  if (current) {
+    const [ourMajor, ourMinor = 0] = parts(current);
+    if (major !== ourMajor) return 'major';
+    return minor !== ourMinor ? 'minor' : 'patch';
+  }
+  if (minor === 0 && patch === 0) return 'major';
+  return patch === 0 ? 'minor' : 'patch';
+}
+
+/**
+ * Severity for a total score: the highest threshold it reaches
+ */
+function getSeverityForScore(score, thresholds) {
+  if (score >= thresholds.critical) return SEVERITY_LEVELS.CRITICAL;
+  if (score >= thresholds.high) return SEVERITY_LEVELS.HIGH;
+  if (score >= thresholds.medium) return SEVERITY_LEVELS.MEDIUM;
+  return SEVERITY_LEVELS.LOW;
+}
+
+/**
+ * Short reasons for display: the usage note first, then the largest contributions
+ */
+function getReasons(breakdown) {
+  const reasons = breakdown
+    .filter(entry => entry.factor !== 'hint')
+    .sort((a, b) => (b.factor === 'usage') - (a.factor === 'usage') || Math.abs(b.points) - Math.abs(a.points))
+    .map(entry => entry.label);
+
+  return reasons.length > 0 ? [...new Set(reasons)].slice(0, 3) : ['default from source'];
+}
 
-  // Determine severity based on matches
-  let severity = SEVERITY_LEVELS.LOW;
-  let reasons = [];
-
-  if (matches.critical.length > 0) {
-    severity = SEVERITY_LEVELS.CRITICAL;
-    reasons = matches.critical;
-  } else if (matches.high.length > 0) {
-    severity = SEVERITY_LEVELS.HIGH;
-    reasons = matches.high;
-  } else if (matches.medium.length > 0) {
-    severity = SEVERITY_LEVELS.MEDIUM;
-    reasons = matches.medium;
-  } else if (matches.low.length > 0) {
-    severity = SEVERITY_LEVELS.LOW;
-    reasons = matches.low;
-  } else {
-    // No keyword match - use source hint
-    severity = source.severityHint || SEVERITY_LEVELS.LOW;
-    reasons = ['default from source'];
+/**
+ * Calculate the weighted score of an item
+ * Every factor (source hint, keywords, trust, version jump, registry flags, usage,
+ * pre-release) adds points to `breakdown`; `config/scoring.json` thresholds map the total
+ * to a severity. `context.latestVersion` is the newest release seen from the same source.
+ */
+function scoreItem(item, source, context = {}) {
+  const scoring = getScoringRules();
+  const { weights, thresholds } = scoring;
+
+  // Fetchers that know the impact (e.g. status page incidents) preset the severity
+  if (item.presetSeverity) {
+    const points = thresholds[item.presetSeverity] ?? 0;
+    const breakdown = [{ factor: 'preset', label: item.presetReason || 'preset by source', points }];
+    return {
+      severity: item.presetSeverity,
+      score: points,
+      breakdown,
+      reasons: [breakdown[0].label]
+    };
   }
 
-  // Version-based adjustments
-  if (item.version) {
-    const majorVersionRegex = /^v?(\d+)\.0\.0/;
-    if (majorVersionRegex.test(item.version)) {
-      // Major version bump - increase severity if not already critical
-      if (severity === SEVERITY_LEVELS.LOW) {
-        severity = SEVERITY_LEVELS.MEDIUM;
-        reasons.push('major version bump');
-      } else if (severity === SEVERITY_LEVELS.MEDIUM) {
-        severity = SEVERITY_LEVELS.HIGH;
-        reasons.push('major version bump');
+  const { rules, exclude } = getSourceRules(scoring, source);
+  const texts = getScopedTexts(item, exclude);
+  const hint = source.severityHint || SEVERITY_LEVELS.LOW;
+  const breakdown = [{
+    factor: 'hint',
+    label: `source hint ${hint}`,
+    points: weights.severityHint[hint] ?? weights.severityHint.low
+  }];
+  const add = (factor, label, points) => {
+    if (points !== 0) breakdown.push({ factor, label, points });
+  };
+
+  // Keywords - the strongest match counts in full, each further match adds a little
+  const matches = [];
+  Object.entries(rules).forEach(([level, levelRules]) => {
+    levelRules.forEach(rule => {
+      if (matchRule(texts[rule.field], rule) && !matches.some(match => match.label === rule.label)) {
+        matches.push({ label: rule.label, level, weight: rule.weight ?? weights.keywords[level] });
       }
-    }
+    });
+  });
+  matches
+    .sort((a, b) => b.weight - a.weight)
+    .forEach((match, index) => {
+      breakdown.push({
+        factor: 'keyword',
+        label: match.label,
+        level: match.level,
+        points: index === 0 ? match.weight : weights.additionalKeyword
+      });
+    });
+
+  const trust = source.trust || 'normal';
+  add('trust', `${trust} trust source`, weights.trust[trust] ?? 0);
+
+  const version = item.version ? extractVersion(String(item.version)) : null;
+  const inUseVersions = version ? getInUseVersions(source) : [];
+  if (version) {
+    const jump = getVersionJump(version, inUseVersions);
+    add('version', `${jump} version bump`, weights.versionJump[jump]);
+  }
+
+  // Registry flags - a yanked or deprecated version needs attention regardless of keywords
+  if (item.yanked) {
+    add('registry', 'yanked release', weights.yanked);
+  } else if (item.deprecated) {
+    add('registry', 'deprecated release', weights.deprecated);
+  }
+
+  // In-use versions - releases on our line matter, lines we do not run drop out
+  const relationship = version
+    ? getVersionRelationship(version, inUseVersions, context.latestVersion)
+    : null;
+  if (relationship) {
+    const usage = getUsageFactor(relationship, texts.any);
+    breakdown.push({ factor: 'usage', label: usage.reason, points: weights.usage[usage.key] });
   }
 
-  // Pre-release check - reduce severity
   if (item.prerelease) {
-    if (severity === SEVERITY_LEVELS.HIGH) {
-      severity = SEVERITY_LEVELS.MEDIUM;
-      reasons.push('pre-release (reduced severity)');
-    } else if (severity === SEVERITY_LEVELS.CRITICAL) {
-      severity = SEVERITY_LEVELS.HIGH;
-      reasons.push('pre-release (reduced severity)');
-    }
+    add('prerelease', 'pre-release', weights.prerelease);
   }
 
+  const score = breakdown.reduce((total, entry) => total + entry.points, 0);
+
   return {
-    severity,
-    reasons: [...new Set(reasons)].slice(0, 3), // Unique, max 3 reasons
-    score: getSeverityScore(severity)
+    severity: getSeverityForScore(score, thresholds),
+    score,
+    breakdown,
+    reasons: getReasons(breakdown)
   };
 }
 
+/**
+ * One-line breakdown of a scored item, e.g.
+ *   95 = source hint medium +30, "vulnerability" +60, major version bump +25, pre-release -30
+ */
+function formatScoreBreakdown(item) {
+  const parts = (item.scoreBreakdown || []).map(entry => {
+    const label = entry.factor === 'keyword' ? `"${entry.label}"` : entry.label;
+    return `${label} ${entry.points >= 0 ? '+' : ''}${entry.points}`;
+  });
+  return `${item.score} = ${parts.join(', ')}`;
+}
+
 /**
  * Get numeric score for severity level
  */
@@ -205,6 +268,18 @@ function getSeverityScore(severity) {
   return scores[severity] || 1;
 }
 
+/**
+ * Newest stable version among a source's items (null when they carry no versions)
+ */
+function getLatestVersion(items) {
+  return items
+    .filter(item => item.version && !item.prerelease)
+    .map(item => extractVersion(item.version))
+    .filter(Boolean)
+    .sort(compareVersions)
+    .pop() || null;
+}
+
 /**
  * Score all items from all sources
  */
@@ -215,26 +290,33 @@ function scoreAllItems(sourceResults, sources) {
     const source = sources.find(s => s.id === sourceId);
     if (!source) continue;
 
+    const latestVersion = getLatestVersion(items);
+
     items.forEach(item => {
-      const scoringResult = scoreItem(item, source);
+      const scoringResult = scoreItem(item, source, { latestVersion });
 
       scored.push({
         ...item,
         severity: scoringResult.severity,
-        severityScore: scoringResult.score,
+        severityScore: getSeverityScore(scoringResult.severity),
         severityReasons: scoringResult.reasons,
+        score: scoringResult.score,
+        scoreBreakdown: scoringResult.breakdown,
         category: source.category,
         sourceName: source.name
       });
     });
   }
 
-  // Sort by severity (highest first), then by date (newest first)
+  // Sort by severity, then score (highest first), then by date (newest first, undated last)
   scored.sort((a, b) => {
     if (a.severityScore !== b.severityScore) {
       return b.severityScore - a.severityScore;
     }
-    return b.publishedAt - a.publishedAt;
+    if (a.score !== b.score) {
+      return b.score - a.score;
+    }
+    return (b.publishedAt || 0) - (a.publishedAt || 0);
   });
 
   return scored;
@@ -274,7 +356,10 @@ function getSummaryStats(scoredItems) {
 
 module.exports = {
   SEVERITY_LEVELS,
+  loadScoringConfig,
+  getScoringRules,
   scoreItem,
   scoreAllItems,
+  formatScoreBreakdown,
   getSummaryStats
 };
@@ -0,0 +1,121 @@
+/**
+ * Article search fetchers (Zenn, Qiita)
+ * Each turns a keyword query with optional user/tag filters into article items.
+ */
+
+const { fetchUrl } = require('./http');
+
+const MAX_ARTICLES = 20;
+
+function getMaxArticles(source) {
+  // Qiita caps per_page at 100
+  return Math.min(source.maxItems || MAX_ARTICLES, 100);
+}
+
+function getSearchHttpOptions(source, headers = {}) {
+  const http = source.http || {};
+  return {
+    ...http,
+    headers: { 'Accept': 'application/json', ...headers, ...http.headers }
+  };
+}
+
+/**
+ * Split a query into lower-case terms (whitespace separated, full-width spaces included)
+ */
+function getQueryTerms(query) {
+  return (query || '')
+    .split(/[\s　]+/)
+    .map(term => term.toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * True when every query term appears in the text
+ */
+function matchesQuery(text, terms) {
+  const haystack = text.toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Zenn articles
+ * With `user` or `tag` the article list API is used and `query` is matched locally
+ * against titles; with only `query` Zenn's search API is used.
+ */
+async function fetchZenn(source) {
+  const terms = getQueryTerms(source.query);
+  let url;
+
+  if (source.user || source.tag) {
+    const params = new URLSearchParams({ order: 'latest' });
+    if (source.user) params.set('username', source.user);
+    if (source.tag) params.set('topicname', source.tag);
+    url = `https://zenn.dev/api/articles?${params}`;
+  } else if (terms.length > 0) {
+    const params = new URLSearchParams({ q: source.query, order: 'latest', source: 'articles' });
+    url = `https://zenn.dev/api/search?${params}`;
+  } else {
+    throw new Error('"query", "user" or "tag" is required for Zenn search feeds');
+  }
+
+  const doc = JSON.parse(await fetchUrl(url, getSearchHttpOptions(source)));
+
+  return (doc.articles || [])
+    .filter(article => !(source.user || source.tag) || matchesQuery(article.title || '', terms))
+    .slice(0, getMaxArticles(source))
+    .map(article => ({
+      id: `zenn:${article.slug || article.id}`,
+      title: article.title,
+      url: new URL(article.path || `/${article.user?.username}/articles/${article.slug}`, 'https://zenn.dev').href,
+      description: [
+        article.user?.username ? `by @${article.user.username}` : null,
+        article.liked_count ? `${article.liked_count} likes` : null
+      ].filter(Boolean).join(' / '),
+      publishedAt: new Date(article.published_at).getTime(),
+      author: article.user?.username || null,
+      rawData: article
+    }));
+}
+
+/**
+ * Qiita articles via API v2 (`query` accepts Qiita search syntax; `user`/`tag` are appended)
+ * QIITA_TOKEN raises the rate limit from 60 to 1000 requests per hour.
+ */
+async function fetchQiita(source) {
+  const query = [
+    source.query,
+    source.user ? `user:${source.user}` : null,
+    source.tag ? `tag:${source.tag}` : null
+  ].filter(Boolean).join(' ');
+
+  if (!query) {
+    throw new Error('"query", "user" or "tag" is required for Qiita search feeds');
+  }
+
+  const params = new URLSearchParams({ query, page: '1', per_page: String(getMaxArticles(source)) });
+  const headers = process.env.QIITA_TOKEN ? { 'Authorization': `Bearer ${process.env.QIITA_TOKEN}` } : {};
+  const articles = JSON.parse(await fetchUrl(
+    `https://qiita.com/api/v2/items?${params}`,
+    getSearchHttpOptions(source, headers)
+  ));
+
+  return articles.map(article => ({
+    id: `qiita:${article.id}`,
+    title: article.title,
+    url: article.url,
+    description: [
+      article.user?.id ? `by @${article.user.id}` : null,
+      (article.tags || []).length ? `tags: ${article.tags.map(tag => tag.name).join(', ')}` : null,
+      (article.body || '').replace(/\s+/g, ' ').trim().substring(0, 300)
+    ].filter(Boolean).join('\n'),
+    publishedAt: new Date(article.created_at).getTime(),
+    author: article.user?.id || null,
+    rawData: { id: article.id, title: article.title, url: article.url, created_at: article.created_at }
+  }));
+}
+
+module.exports = {
+  fetchZenn,
+  fetchQiita
+};
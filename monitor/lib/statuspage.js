@@ -0,0 +1,229 @@
+/**
+ * Statuspage (statuspage.io compatible) incident lifecycle tracking
+ * Reads /api/v2/incidents.json and /api/v2/summary.json, compares each incident with the
+ * state saved by the previous run and emits one item per lifecycle event:
+ * opened, escalated (impact increased) and resolved.
+ */
+
+const { fetchUrl } = require('./http');
+
+const IMPACT_LEVELS = ['none', 'minor', 'major', 'critical'];
+
+// Incident impact maps directly onto notification severity
+const IMPACT_SEVERITY = {
+  none: 'low',
+  minor: 'medium',
+  major: 'high',
+  critical: 'critical'
+};
+
+const RESOLVED_STATUSES = ['resolved', 'postmortem'];
+
+function getImpactRank(impact) {
+  return Math.max(IMPACT_LEVELS.indexOf(impact), 0);
+}
+
+function isResolved(incident) {
+  return RESOLVED_STATUSES.includes(incident.status);
+}
+
+/**
+ * Status page origin; `url` may point at any page of the site (e.g. history.rss)
+ */
+function getApiBase(source) {
+  return `${new URL(source.url).origin}/api/v2`;
+}
+
+async function fetchJson(url, source) {
+  const body = await fetchUrl(url, {
+    ...(source.http || {}),
+    headers: { 'Accept': 'application/json' }
+  });
+  return JSON.parse(body);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+function getIncidentReason(phase, impact, unreported) {
+  if (phase === 'resolved') {
+    return unreported ? `incident opened and resolved (${impact} impact)` : 'incident resolved';
+  }
+  return `incident ${phase === 'open' ? 'opened' : 'escalated'} (${impact} impact)`;
+}
+
+/**
+ * Build an item for an incident lifecycle event
+ * IDs combine the incident ID with the phase (and impact for escalations), so each
+ * transition is reported exactly once. `unreported` marks a resolution of an incident
+ * that opened since the last run and was never reported as open.
+ */
+function createIncidentItem(source, incident, phase, unreported = false) {
+  const impact = incident.impact || 'none';
+  const latestUpdate = (incident.incident_updates || [])[0];
+  const components = (incident.components || []).map(component => component.name);
+
+  const labels = {
+    open: `Opened (${impact})`,
+    escalate: `Escalated to ${impact}`,
+    resolved: unreported ? `Opened and resolved (${impact})` : 'Resolved'
+  };
+
+  const details = [
+    `Status: ${incident.status} / Impact: ${impact}`,
+    components.length > 0 ? `Affected: ${components.join(', ')}` : null,
+    phase === 'resolved' && incident.resolved_at
+      ? `Duration: ${formatDuration(new Date(incident.resolved_at) - new Date(incident.created_at))}`
+      : null,
+    latestUpdate?.body ? latestUpdate.body.replace(/\s+/g, ' ').trim() : null
+  ];
+
+  const eventTime = phase === 'resolved'
+    ? incident.resolved_at || incident.updated_at
+    : phase === 'escalate' ? incident.updated_at : incident.created_at;
+
+  return {
+    id: `statuspage-${incident.id}-${phase === 'escalate' ? `impact-${impact}` : phase}`,
+    title: `${source.name} - ${incident.name} [${labels[phase]}]`,
+    url: incident.shortlink || `${new URL(source.url).origin}/incidents/${incident.id}`,
+    description: details.filter(Boolean).join('\n').substring(0, 500),
+    publishedAt: new Date(eventTime).getTime(),
+    incidentPhase: phase,
+    impact,
+    // Resolutions of reported incidents are informational; everything else follows the impact
+    presetSeverity: phase === 'resolved' && !unreported ? 'low' : IMPACT_SEVERITY[impact],
+    presetReason: getIncidentReason(phase, impact, unreported),
+    source: source.id,
+    rawData: { id: incident.id, name: incident.name, status: incident.status, impact }
+  };
+}
+
+function createMaintenanceItem(source, maintenance) {
+  const components = (maintenance.components || []).map(component => component.name);
+  const from = maintenance.scheduled_for ? new Date(maintenance.scheduled_for).toISOString() : '?';
+  const until = maintenance.scheduled_until ? new Date(maintenance.scheduled_until).toISOString() : '?';
+
+  return {
+    id: `statuspage-${maintenance.id}-maintenance`,
+    title: `${source.name} - ${maintenance.name} [Scheduled maintenance]`,
+    url: maintenance.shortlink || `${new URL(source.url).origin}/incidents/${maintenance.id}`,
+    description: [
+      `Window: ${from} - ${until}`,
+      components.length > 0 ? `Affected: ${components.join(', ')}` : null,
+      (maintenance.incident_updates || [])[0]?.body?.replace(/\s+/g, ' ').trim()
+    ].filter(Boolean).join('\n').substring(0, 500),
+    publishedAt: new Date(maintenance.created_at || maintenance.scheduled_for).getTime(),
+    incidentPhase: 'maintenance',
+    presetSeverity: components.length > 0 ? 'medium' : 'low',
+    presetReason: 'scheduled maintenance',
+    source: source.id,
+    rawData: { id: maintenance.id, name: maintenance.name, status: maintenance.status }
+  };
+}
+
+/**
+ * Fetch a status page and diff it against `previousData` (the data saved by the last run)
+ * Returns { items, data }. Without previous data the current state is recorded silently,
+ * so adding a source does not replay the whole incident history.
+ */
+async function fetchStatuspage(source, previousData) {
+  const base = getApiBase(source);
+  const [incidentsDoc, summary] = await Promise.all([
+    fetchJson(`${base}/incidents.json`, source),
+    fetchJson(`${base}/summary.json`, source)
+  ]);
+
+  const tracking = Boolean(previousData);
+  const previousIncidents = previousData?.incidents || {};
+  const previousMaintenances = previousData?.maintenances || {};
+  const items = [];
+
+  const incidents = {};
+  (incidentsDoc.incidents || []).forEach(incident => {
+    const previous = previousIncidents[incident.id];
+    const resolved = isResolved(incident);
+    const rank = getImpactRank(incident.impact);
+
+    if (tracking) {
+      if (!previous) {
+        // Opened (and possibly resolved) since the last run
+        items.push(resolved
+          ? createIncidentItem(source, incident, 'resolved', true)
+          : createIncidentItem(source, incident, 'open'));
+      } else if (resolved && !previous.resolved) {
+        items.push(createIncidentItem(source, incident, 'resolved'));
+      } else if (!resolved && rank > previous.maxImpact) {
+        items.push(createIncidentItem(source, incident, 'escalate'));
+      }
+    }
+
+    incidents[incident.id] = {
+      name: incident.name,
+      status: incident.status,
+      resolved,
+      maxImpact: Math.max(rank, previous?.maxImpact ?? rank)
+    };
+  });
+
+  const maintenances = {};
+  (summary.scheduled_maintenances || []).forEach(maintenance => {
+    if (tracking && !previousMaintenances[maintenance.id]) {
+      items.push(createMaintenanceItem(source, maintenance));
+    }
+    maintenances[maintenance.id] = { name: maintenance.name, status: maintenance.status };
+  });
+
+  const origin = new URL(source.url).origin;
+  const ongoing = [
+    ...(incidentsDoc.incidents || [])
+      .filter(incident => !isResolved(incident))
+      .map(incident => ({
+        name: incident.name,
+        status: incident.status,
+        impact: incident.impact || 'none',
+        url: incident.shortlink || `${origin}/incidents/${incident.id}`,
+        since: incident.created_at
+      })),
+    ...(summary.scheduled_maintenances || [])
+      .filter(maintenance => maintenance.status === 'in_progress' || maintenance.status === 'verifying')
+      .map(maintenance => ({
+        name: maintenance.name,
+        status: `maintenance ${maintenance.status}`,
+        impact: maintenance.impact || 'maintenance',
+        url: maintenance.shortlink || `${origin}/incidents/${maintenance.id}`,
+        since: maintenance.started_at || maintenance.scheduled_for
+      }))
+  ];
+
+  const degradedComponents = (summary.components || [])
+    .filter(component => !component.group && component.status && component.status !== 'operational')
+    .map(component => ({ name: component.name, status: component.status }));
+
+  return {
+    items,
+    data: { incidents, maintenances, ongoing, degradedComponents }
+  };
+}
+
+/**
+ * Collect unresolved incidents and degraded components recorded by statuspage sources
+ */
+function getOngoingIncidents(sources, sourceData) {
+  return sources
+    .filter(source => source.type === 'statuspage' && sourceData[source.id])
+    .map(source => ({
+      sourceName: source.name,
+      incidents: sourceData[source.id].ongoing || [],
+      degradedComponents: sourceData[source.id].degradedComponents || []
+    }))
+    .filter(entry => entry.incidents.length > 0 || entry.degradedComponents.length > 0);
+}
+
+module.exports = {
+  fetchStatuspage,
+  getOngoingIncidents
+};
@@ -0,0 +1,178 @@
+/**
+ * Keep sources.json in sync with dependency manifests (`run.js sync-sources`)
+ *
+ * Each direct dependency pinned in a manifest is matched to existing sources (registry
+ * sources by package, GitHub sources by repository) whose `inUse` is updated; unmatched
+ * dependencies get a new registry source. Sources created from a manifest remember it in
+ * `syncedFrom`, so dependencies dropped from that manifest are flagged and disabled.
+ * Hand-written sources are never disabled, and their other `inUse` versions are kept.
+ */
+
+const path = require('path');
+const { readManifest, isSamePackage } = require('./manifests');
+const { extractVersion } = require('./versions');
+
+const MONITOR_DIR = path.join(__dirname, '..');
+
+const REGISTRIES = {
+  composer: {
+    type: 'packagist',
+    label: 'Packagist',
+    category: 'server',
+    url: name => `https://packagist.org/packages/${name}`
+  },
+  npm: {
+    type: 'npm',
+    label: 'npm',
+    category: 'server',
+    url: name => `https://www.npmjs.com/package/${name}`
+  },
+  pypi: {
+    type: 'pypi',
+    label: 'PyPI',
+    category: 'server',
+    url: name => `https://pypi.org/project/${name}/`
+  },
+  cocoapods: {
+    type: 'cocoapods',
+    label: 'CocoaPods',
+    category: 'app',
+    url: name => `https://cocoapods.org/pods/${name}`
+  },
+  maven: {
+    type: 'maven',
+    label: 'Maven',
+    category: 'app',
+    url: name => `https://central.sonatype.com/artifact/${name.replace(':', '/')}`
+  }
+};
+
+// Artifacts published only to Google's Maven repository
+const GOOGLE_MAVEN_GROUPS = /^(?:androidx\.|com\.android\.|com\.google\.(?:firebase|android)\b)/;
+const GOOGLE_MAVEN_REPOSITORY = 'https://dl.google.com/dl/android/maven2';
+
+function createSourceId(name, type, sources) {
+  const base = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}-${type}`;
+  let id = base;
+  for (let n = 2; sources.some(source => source.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+function createSource(dependency, registry, options, sources) {
+  const source = {
+    id: createSourceId(dependency.name, registry.type, sources),
+    name: `${dependency.name} (${registry.label})`,
+    category: options.category || registry.category,
+    type: registry.type,
+    package: dependency.name
+  };
+
+  if (registry.type === 'maven' && GOOGLE_MAVEN_GROUPS.test(dependency.name)) {
+    source.repository = GOOGLE_MAVEN_REPOSITORY;
+    source.url = `https://maven.google.com/web/index.html#${dependency.name}`;
+  } else {
+    source.url = registry.url(dependency.name);
+  }
+
+  return {
+    ...source,
+    inUse: dependency.version,
+    syncedInUse: dependency.version,
+    syncedFrom: options.manifestPath,
+    severityHint: 'medium',
+    enabled: true
+  };
+}
+
+function matchesDependency(source, dependency, ecosystem, registry) {
+  if (source.type === registry.type && isSamePackage(ecosystem, source.package, dependency.name)) {
+    return true;
+  }
+  return Boolean(dependency.repository) &&
+    source.type.startsWith('github') &&
+    source.url.replace(/^https:\/\/github\.com\//, '').toLowerCase() === dependency.repository.toLowerCase();
+}
+
+function isSameVersion(a, b) {
+  return (extractVersion(String(a)) || String(a)) === (extractVersion(String(b)) || String(b));
+}
+
+/**
+ * `inUse` with the version written by the previous sync (`syncedInUse`) replaced by
+ * `version`; versions maintained by hand are kept, and arrays stay arrays
+ */
+function mergeInUse(source, version) {
+  const versions = [].concat(source.inUse ?? []).map(String)
+    .filter(existing => existing !== String(source.syncedInUse));
+  if (!versions.some(existing => isSameVersion(existing, version))) {
+    versions.push(version);
+  }
+  return versions.length === 1 && !Array.isArray(source.inUse) ? versions[0] : versions;
+}
+
+function formatInUse(inUse) {
+  return inUse === undefined || inUse === null ? null : [].concat(inUse).join(', ');
+}
+
+/**
+ * Plan (and apply to a copy of `sources`) the changes for one manifest
+ * Returns { sources, manifest, changes: [{ action, sourceId, ... }] } where action is
+ * add, update, restore or remove.
+ */
+function syncManifest(sources, manifestFile, options = {}) {
+  const manifestPath = path.relative(MONITOR_DIR, path.resolve(manifestFile));
+  const manifest = readManifest(path.resolve(manifestFile));
+  const registry = REGISTRIES[manifest.ecosystem];
+  const today = options.today || new Date().toISOString().substring(0, 10);
+
+  const updated = sources.map(source => ({ ...source }));
+  const matchedIds = new Set();
+  const changes = [];
+
+  manifest.dependencies
+    .filter(dependency => dependency.direct && dependency.version)
+    .forEach(dependency => {
+      const matched = updated.filter(source => matchesDependency(source, dependency, manifest.ecosystem, registry));
+
+      if (matched.length === 0) {
+        const source = createSource(dependency, registry, { ...options, manifestPath }, updated);
+        updated.push(source);
+        matchedIds.add(source.id);
+        changes.push({ action: 'add', sourceId: source.id, name: dependency.name, version: dependency.version });
+        return;
+      }
+
+      matched.forEach(source => {
+        matchedIds.add(source.id);
+        const previous = formatInUse(source.inUse);
+        source.inUse = mergeInUse(source, dependency.version);
+        // An equivalent version written by hand ("10.48.2" for "v10.48.2") is now kept in sync
+        source.syncedInUse = [].concat(source.inUse)
+          .find(existing => isSameVersion(existing, dependency.version));
+
+        if (source.removedAt) {
+          delete source.removedAt;
+          source.enabled = true;
+          changes.push({ action: 'restore', sourceId: source.id, name: dependency.name, version: dependency.version });
+        } else if (previous !== formatInUse(source.inUse)) {
+          changes.push({ action: 'update', sourceId: source.id, name: dependency.name, from: previous, version: formatInUse(source.inUse) });
+        }
+      });
+    });
+
+  updated
+    .filter(source => source.syncedFrom === manifestPath && !matchedIds.has(source.id) && !source.removedAt)
+    .forEach(source => {
+      source.enabled = false;
+      source.removedAt = today;
+      changes.push({ action: 'remove', sourceId: source.id, name: source.package || source.url });
+    });
+
+  return { sources: updated, manifest: { path: manifestPath, ...manifest }, changes };
+}
+
+module.exports = {
+  syncManifest
+};
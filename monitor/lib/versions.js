@@ -0,0 +1,66 @@
+/**
+ * Version string helpers
+ * Normalizes tag names like "openssl-3.0.0" or "OpenSSL_1_1_1w" to plain versions
+ */
+
+const PRERELEASE_REGEX = /(?:^|[^a-z])(alpha|beta|rc|pre|preview|dev|snapshot)(?:[^a-z]|$)/i;
+
+/**
+ * Extract a dotted version from a tag name or text
+ * Returns null when no version-like token is found
+ */
+function extractVersion(text) {
+  if (!text) return null;
+
+  // Underscore-separated versions (OpenSSL_1_1_1w) are normalized to dots
+  const match = /v?(\d+(?:[._]\d+)+[a-z]?(?:[-.+]?(?:alpha|beta|rc|pre|preview|dev)[.-]?\d*)?)/i.exec(text);
+  if (!match) {
+    // Single-number versions only count as a whole tag ("10") or with a "v" prefix ("v10")
+    const single = /^v?(\d+)$/i.exec(text.trim()) || /(?:^|[^\w.])v(\d+)(?:$|[^\w.])/i.exec(text);
+    return single ? single[1] : null;
+  }
+
+  return match[1].replace(/_/g, '.');
+}
+
+/**
+ * Check whether a version or tag name denotes a pre-release
+ */
+function isPrereleaseVersion(version) {
+  return Boolean(version) && PRERELEASE_REGEX.test(version);
+}
+
+/**
+ * Split a version into numeric parts, ignoring suffixes
+ */
+function parseVersionParts(version) {
+  const core = String(version).replace(/^v/i, '').split(/[-+]/)[0];
+  return core.split('.').map(part => parseInt(part, 10)).filter(n => !Number.isNaN(n));
+}
+
+/**
+ * Compare two versions numerically (pre-releases sort before their release)
+ * Returns negative, zero or positive like Array.prototype.sort comparators
+ */
+function compareVersions(a, b) {
+  const partsA = parseVersionParts(a);
+  const partsB = parseVersionParts(b);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  const preA = isPrereleaseVersion(a);
+  const preB = isPrereleaseVersion(b);
+  if (preA !== preB) return preA ? -1 : 1;
+
+  return String(a).localeCompare(String(b));
+}
+
+module.exports = {
+  extractVersion,
+  isPrereleaseVersion,
+  compareVersions
+};
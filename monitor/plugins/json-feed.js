@@ -0,0 +1,35 @@
+/**
+ * JSON Feed (https://www.jsonfeed.org/) source plugin
+ * Also serves as a reference implementation of the plugin interface (see lib/plugins.js).
+ *
+ * sources.json:
+ *   { "id": "example", "type": "json-feed", "url": "https://example.com/feed.json", "maxItems": 10 }
+ */
+
+module.exports = {
+  schema: {
+    required: ['url'],
+    properties: {
+      url: { type: 'string' },
+      maxItems: { type: 'integer', default: 20 }
+    }
+  },
+
+  async fetch(source, helpers) {
+    const feed = JSON.parse(await helpers.fetchUrl(source.url, {
+      headers: { 'Accept': 'application/feed+json, application/json' }
+    }));
+
+    if (!/^https:\/\/jsonfeed\.org\/version\//.test(feed.version || '')) {
+      throw new Error(`Not a JSON Feed: ${source.url}`);
+    }
+
+    return (feed.items || []).slice(0, source.maxItems).map(item => ({
+      id: `json-feed-${item.id}`,
+      title: `${source.name} - ${item.title || item.id}`,
+      url: item.url || item.external_url,
+      description: item.summary || item.content_text || '',
+      publishedAt: item.date_published || item.date_modified
+    }));
+  }
+};
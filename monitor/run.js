@@ -2,30 +2,53 @@
 
 const fs = require('fs');
 const path = require('path');
-const { fetchAllSources } = require('./lib/fetchers');
-const { scoreAllItems, getSummaryStats } = require('./lib/scorer');
-const { loadState, saveState, getNewItems, updateState, getCacheStats } = require('./lib/cache');
+const { fetchAllSources, extractHTMLItems, getGitHubRateLimit } = require('./lib/fetchers');
+const { loadScoringConfig, scoreAllItems, formatScoreBreakdown, getSummaryStats } = require('./lib/scorer');
+const { findUnknownOverrides } = require('./lib/rules');
+const { clusterItems } = require('./lib/dedup');
+const { getOngoingIncidents } = require('./lib/statuspage');
+const {
+  loadState,
+  saveState,
+  loadHttpCache,
+  saveHttpCache,
+  migrateSeenIds,
+  getNewItems,
+  updateState,
+  getCacheStats
+} = require('./lib/cache');
+const { syncManifest } = require('./lib/sync');
+const { readItems, scoreItems, formatExplanation, checkExpectations } = require('./lib/explain');
+const { checkMailboxFixtures } = require('./lib/mailbox');
 const { sendNotification, sendErrorNotification } = require('./slack');
 
+const SOURCES_CONFIG_PATH = path.join(__dirname, 'config', 'sources.json');
+const MAILBOX_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'mail', 'expected.json');
+const MIGRATION_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'migration');
+
 /**
- * Load sources configuration
+ * Load the whole sources.json document
  */
-function loadSources() {
-  const configPath = path.join(__dirname, 'config', 'sources.json');
-
-  if (!fs.existsSync(configPath)) {
-    throw new Error(`Configuration file not found: ${configPath}`);
+function loadSourcesConfig() {
+  if (!fs.existsSync(SOURCES_CONFIG_PATH)) {
+    throw new Error(`Configuration file not found: ${SOURCES_CONFIG_PATH}`);
   }
 
   try {
-    const data = fs.readFileSync(configPath, 'utf8');
-    const config = JSON.parse(data);
-    return config.sources || [];
+    const data = fs.readFileSync(SOURCES_CONFIG_PATH, 'utf8');
+    return JSON.parse(data);
   } catch (error) {
     throw new Error(`Failed to load sources config: ${error.message}`);
   }
 }
 
+/**
+ * Load sources configuration
+ */
+function loadSources() {
+  return loadSourcesConfig().sources || [];
+}
+
 /**
  * Main monitoring process
  */
@@ -52,43 +75,89 @@ async function main() {
     console.log('[1/6] Loading configuration...');
     const sources = loadSources();
     const enabledSources = sources.filter(s => s.enabled);
-    console.log(`Loaded ${enabledSources.length} enabled sources (${sources.length} total)\n`);
+    console.log(`Loaded ${enabledSources.length} enabled sources (${sources.length} total)`);
+
+    const scoringRules = loadScoringConfig();
+    findUnknownOverrides(scoringRules, sources).forEach(key => {
+      console.warn(`WARNING: scoring.json override "${key}" matches no configured source or category`);
+    });
+    console.log('Loaded scoring rules (config/scoring.json)\n');
 
     // Step 2: Fetch from all sources
     console.log('[2/6] Fetching from sources...');
-    const sourceResults = await fetchAllSources(enabledSources, 2);
+    const previousState = loadState();
+    const httpCache = loadHttpCache();
+    const sourceData = {};
+    const fetchStatus = {};
+    const sourceResults = await fetchAllSources(enabledSources, 2, {
+      httpCache,
+      previousState,
+      sourceData,
+      fetchStatus
+    });
+    saveHttpCache(httpCache);
 
     const totalFetched = Object.values(sourceResults).reduce(
       (sum, items) => sum + items.length,
       0
     );
-    console.log(`Fetched ${totalFetched} items from ${Object.keys(sourceResults).length} sources\n`);
+    console.log(`Fetched ${totalFetched} items from ${Object.keys(sourceResults).length} sources`);
+
+    const failedSources = Object.keys(fetchStatus).filter(id => fetchStatus[id].status === 'failed');
+    if (failedSources.length > 0) {
+      console.log(`Failed sources (previous state kept): ${failedSources.join(', ')}`);
+    }
+
+    const rateLimit = getGitHubRateLimit();
+    if (rateLimit.remaining !== null) {
+      const resetAt = new Date(rateLimit.reset).toISOString();
+      const auth = rateLimit.authenticated ? 'authenticated' : 'anonymous';
+      console.log(`GitHub API rate limit: ${rateLimit.remaining}/${rateLimit.limit} remaining (${auth}, resets at ${resetAt})`);
+    }
+    console.log('');
 
     // Step 3: Score items
     console.log('[3/6] Scoring items...');
     const scoredItems = scoreAllItems(sourceResults, sources);
-    console.log(`Scored ${scoredItems.length} items\n`);
+    console.log(`Scored ${scoredItems.length} items`);
+
+    // Merge the same announcement reported by several sources
+    const clusteredItems = clusterItems(scoredItems, sources);
+    const mergedCount = scoredItems.length - clusteredItems.length;
+    console.log(`Merged ${mergedCount} cross-source duplicates (${clusteredItems.length} items)\n`);
 
     // Step 4: Check cache and get diff
     console.log('[4/6] Checking cache for new items...');
-    const previousState = loadState();
+
+    // One-time rewrite of seenIds stored under an older ID scheme
+    const migratedIds = migrateSeenIds(previousState, scoredItems);
+    if (migratedIds > 0) {
+      console.log(`Migrated ${migratedIds} seen item IDs to the current ID scheme`);
+    }
 
     let newItems, isFirstRun;
 
     if (forceNotify) {
       // Force mode: treat all items as new
-      newItems = scoredItems;
+      newItems = clusteredItems;
       isFirstRun = false;
       console.log('FORCE_NOTIFY: Treating all items as new');
     } else {
-      const result = getNewItems(scoredItems, previousState);
+      const result = getNewItems(clusteredItems, previousState);
       newItems = result.newItems;
       isFirstRun = result.isFirstRun;
     }
 
     console.log(`Previous state: ${previousState.initialized ? 'initialized' : 'not initialized'}`);
     console.log(`First run: ${isFirstRun}`);
-    console.log(`New items: ${newItems.length}\n`);
+    console.log(`New items: ${newItems.length}`);
+    newItems
+      .filter(item => item.severity === 'critical' || item.severity === 'high')
+      .forEach(item => {
+        console.log(`  [${item.severity}] ${(item.sourceNames || [item.sourceName]).join(' / ')}: ${item.title.substring(0, 80)}`);
+        console.log(`    score ${formatScoreBreakdown(item)}`);
+      });
+    console.log('');
 
     if (isFirstRun) {
       console.log('FIRST RUN: Initializing cache without sending notifications');
@@ -96,7 +165,8 @@ async function main() {
 
     // Step 5: Update cache
     console.log('[5/6] Updating cache...');
-    const newState = updateState(scoredItems);
+    // Every source's own items are recorded, merged or not
+    const newState = updateState(scoredItems, { sourceData, fetchStatus, previousState });
     saveState(newState);
     console.log('Cache updated successfully\n');
 
@@ -126,6 +196,11 @@ async function main() {
     console.log(`  Medium: ${stats.medium}`);
     console.log(`  Low: ${stats.low}`);
 
+    const ongoingIncidents = getOngoingIncidents(enabledSources, sourceData);
+    ongoingIncidents.forEach(entry => {
+      console.log(`  Ongoing (${entry.sourceName}): ${entry.incidents.length} incidents, ${entry.degradedComponents.length} degraded components`);
+    });
+
     // Send to Slack
     const monitoringPeriod = {
       isFirstRun: false, // Always false here since first run exits early
@@ -137,7 +212,7 @@ async function main() {
       console.log('\nDRY RUN: Would send notification with:');
       console.log(JSON.stringify(stats, null, 2));
     } else if (webhookUrl) {
-      await sendNotification(webhookUrl, newItems, stats, monitoringPeriod);
+      await sendNotification(webhookUrl, newItems, stats, monitoringPeriod, { ongoingIncidents });
       console.log('\n✓ Notification sent to Slack');
     }
 
@@ -188,6 +263,15 @@ function showStats() {
     console.log(`  ${source.id}:`);
     console.log(`    Items: ${source.itemCount}`);
     console.log(`    Last updated: ${source.lastUpdated}`);
+    if (source.fetch) {
+      const failures = source.fetch.consecutiveFailures > 0
+        ? ` (${source.fetch.consecutiveFailures} consecutive failures, last success: ${source.fetch.lastSuccess || 'never'})`
+        : '';
+      console.log(`    Last fetch: ${source.fetch.status}${failures}`);
+      if (source.fetch.error) {
+        console.log(`    Error: ${source.fetch.error}`);
+      }
+    }
     if (source.latestTitle) {
       console.log(`    Latest: ${source.latestTitle.substring(0, 60)}...`);
     }
@@ -196,11 +280,183 @@ function showStats() {
   console.log('='.repeat(60));
 }
 
+/**
+ * Sync sources.json with dependency manifests (dry run unless --write is given)
+ */
+function syncSources(args) {
+  const write = args.includes('--write');
+  const categoryIndex = args.indexOf('--category');
+  const category = categoryIndex >= 0 ? args[categoryIndex + 1] : null;
+  const manifestFiles = args.filter((arg, index) =>
+    !arg.startsWith('--') && (categoryIndex < 0 || index !== categoryIndex + 1)
+  );
+
+  if (manifestFiles.length === 0) {
+    console.error('Usage: node run.js sync-sources <manifest>... [--category <category>] [--write]');
+    process.exit(1);
+  }
+
+  const config = loadSourcesConfig();
+  let sources = config.sources || [];
+  let changeCount = 0;
+
+  const symbols = { add: '+', update: '~', restore: '+', remove: '-' };
+
+  manifestFiles.forEach(file => {
+    const result = syncManifest(sources, file, { category });
+    const direct = result.manifest.dependencies.filter(dependency => dependency.direct).length;
+    sources = result.sources;
+    changeCount += result.changes.length;
+
+    console.log(`${result.manifest.path} (${result.manifest.ecosystem}, ${direct} direct dependencies)`);
+    result.changes.forEach(change => {
+      const detail = {
+        add: `new source for ${change.name} ${change.version}`,
+        update: `inUse ${change.from || '(none)'} -> ${change.version}`,
+        restore: `${change.name} is back (${change.version}), re-enabled`,
+        remove: `${change.name} is no longer in the manifest, disabled`
+      }[change.action];
+      console.log(`  ${symbols[change.action]} ${change.sourceId}: ${detail}`);
+    });
+    if (result.changes.length === 0) {
+      console.log('  (up to date)');
+    }
+  });
+
+  if (changeCount === 0) return;
+
+  if (write) {
+    fs.writeFileSync(SOURCES_CONFIG_PATH, JSON.stringify({ ...config, sources }, null, 2) + '\n');
+    console.log(`\nUpdated ${path.relative(process.cwd(), SOURCES_CONFIG_PATH)} (${changeCount} changes)`);
+  } else {
+    console.log(`\n${changeCount} changes. Run with --write to update config/sources.json`);
+  }
+}
+
+/**
+ * Explain how items score with the current rules; with --check, report drift from the
+ * expected severities in a fixture file and exit non-zero
+ */
+function explain(args) {
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+  };
+  const sourceId = option('--source');
+  const itemFile = option('--item') || option('--fixtures');
+  const check = args.includes('--check');
+
+  let items;
+  if (itemFile) {
+    items = readItems(itemFile);
+  } else if (option('--title')) {
+    items = [{
+      title: option('--title'),
+      description: option('--description') || '',
+      version: option('--version') || undefined,
+      prerelease: args.includes('--prerelease')
+    }];
+  } else {
+    console.error('Usage: node run.js explain --source <id> --title <title> [--description <text>] [--version <version>] [--prerelease]');
+    console.error('       node run.js explain [--source <id>] --item <item.json>');
+    console.error('       node run.js explain --fixtures <fixtures.json> [--check]');
+    process.exit(1);
+  }
+
+  loadScoringConfig();
+  const scored = scoreItems(items, loadSources(), sourceId);
+
+  if (!check) {
+    scored.forEach((item, index) => {
+      if (index > 0) console.log('');
+      formatExplanation(item).forEach(line => console.log(line));
+    });
+    return;
+  }
+
+  const result = checkExpectations(scored);
+  result.drifted.forEach(item => {
+    formatExplanation(item).forEach(line => console.log(line));
+    console.log('');
+  });
+
+  const unlabeled = result.unlabeled > 0 ? ` (${result.unlabeled} without "expected" skipped)` : '';
+  console.log(`${result.checked - result.drifted.length}/${result.checked} fixtures match the expected severity${unlabeled}`);
+  if (result.checked === 0 || result.drifted.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse the sample mailboxes offline and compare them with their expected messages;
+ * exits non-zero on any difference
+ */
+function checkMailbox(args) {
+  const fixtureFile = args[0] || MAILBOX_FIXTURES_PATH;
+  const result = checkMailboxFixtures(fixtureFile);
+
+  result.failures.forEach(failure => console.log(`  ${failure}`));
+  console.log(`${result.checked} messages checked in ${path.relative(process.cwd(), fixtureFile)}, ${result.failures.length} differences`);
+  if (result.checked === 0 || result.failures.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Migrate a state.json written by the first ID scheme against the saved pages it was
+ * written from, offline: every seen ID must be migrated and no item reported as new
+ */
+function checkMigration(args) {
+  const fixtureDir = args[0] || MIGRATION_FIXTURES_PATH;
+  const readFixture = name => fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+  const state = JSON.parse(readFixture('state.json'));
+  const sources = JSON.parse(readFixture('sources.json'));
+
+  const items = sources.flatMap(source => extractHTMLItems(source, readFixture(source.page)));
+  const seenCount = Object.values(state.sources).reduce((sum, sourceState) => sum + sourceState.seenIds.length, 0);
+  const migrated = migrateSeenIds(state, items);
+  const { newItems } = getNewItems(items, state);
+
+  newItems.forEach(item => console.log(`  Reported as new: [${item.source}] ${item.title}`));
+  console.log(`${migrated}/${seenCount} seen IDs migrated in ${path.relative(process.cwd(), fixtureDir)}, ${newItems.length} items reported as new`);
+  if (items.length === 0 || migrated < seenCount || newItems.length > 0) {
+    process.exit(1);
+  }
+}
+
 // CLI handling
 const command = process.argv[2];
 
 if (command === 'stats') {
   showStats();
+} else if (command === 'sync-sources') {
+  try {
+    syncSources(process.argv.slice(3));
+  } catch (error) {
+    console.error('Sync failed:', error.message);
+    process.exit(1);
+  }
+} else if (command === 'explain') {
+  try {
+    explain(process.argv.slice(3));
+  } catch (error) {
+    console.error('Explain failed:', error.message);
+    process.exit(1);
+  }
+} else if (command === 'check-mailbox') {
+  try {
+    checkMailbox(process.argv.slice(3));
+  } catch (error) {
+    console.error('Mailbox check failed:', error.message);
+    process.exit(1);
+  }
+} else if (command === 'check-migration') {
+  try {
+    checkMigration(process.argv.slice(3));
+  } catch (error) {
+    console.error('Migration check failed:', error.message);
+    process.exit(1);
+  }
 } else if (command === 'help' || command === '--help' || command === '-h') {
   console.log(`
 SDK/Release Monitor
@@ -208,11 +464,33 @@ SDK/Release Monitor
 Usage:
   node run.js           Run the monitoring process
   node run.js stats     Show cache statistics
+  node run.js sync-sources <manifest>... [--category <category>] [--write]
+                        Propose (or with --write apply) sources for the dependencies
+                        pinned in composer.lock, package-lock.json, requirements.txt,
+                        poetry.lock, Podfile.lock or gradle/libs.versions.toml
+  node run.js explain --source <id> --title <title> [--description <text>]
+                        Show the severity, matched rules and adjustments for an item
+  node run.js explain [--source <id>] --item <item.json>
+  node run.js explain --fixtures <fixtures.json> [--check]
+                        Explain a fixture set; with --check, exit non-zero when a
+                        severity differs from the fixture's "expected"
+  node run.js check-mailbox [<expected.json>]
+                        Parse the sample mbox/Maildir in fixtures/mail offline and
+                        compare them with the expected messages
+  node run.js check-migration [<dir>]
+                        Migrate the first-scheme state.json in fixtures/migration
+                        against its saved pages offline and check nothing is new
   node run.js help      Show this help message
 
 Environment Variables:
   SLACK_WEBHOOK_URL     Slack incoming webhook URL (required for notifications)
   DRY_RUN=true          Run without sending Slack notifications
+  GITHUB_TOKEN          GitHub token for higher rate limits and private repositories
+  GITHUB_RATE_LIMIT_MAX_WAIT
+                        Max seconds to wait for a GitHub rate limit reset (default: 60)
+  QIITA_TOKEN           Qiita access token for higher search-feed rate limits
+  HTTPS_PROXY / HTTP_PROXY / NO_PROXY
+                        Route requests through an HTTP(S) proxy
   `);
 } else {
   // Default: run monitor
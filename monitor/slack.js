@@ -1,5 +1,16 @@
 const https = require('https');
 const { URL } = require('url');
+const { formatDiff } = require('./lib/diff');
+const { formatScoreBreakdown } = require('./lib/scorer');
+
+/**
+ * Source names of an item; merged duplicates list every contributing source
+ * @param {Object} item - Scored item
+ * @returns {string} - e.g. "Xcode Releases / iOS Releases"
+ */
+function formatSourceNames(item) {
+  return (item.sourceNames || [item.sourceName]).join(' / ');
+}
 
 /**
  * Format date in Japanese style
@@ -16,6 +27,46 @@ function formatJapaneseDate(date) {
   return `${year}年${month}月${day}日 ${hours}:${minutes}`;
 }
 
+/**
+ * Render a content-change diff as an indented Slack code block
+ */
+function formatItemDiff(item, maxLines = 6) {
+  if (!item.diff) return '';
+  const diffText = formatDiff(item.diff, maxLines, 80);
+  return diffText ? `\`\`\`${diffText}\`\`\`\n` : '';
+}
+
+/**
+ * Render unresolved status page incidents and degraded components
+ */
+function formatOngoingIncidents(ongoingIncidents = []) {
+  if (ongoingIncidents.length === 0) return '';
+
+  const impactEmoji = {
+    critical: ':red_circle:',
+    major: ':large_orange_diamond:',
+    minor: ':large_blue_diamond:'
+  };
+
+  const count = ongoingIncidents.reduce((sum, entry) => sum + entry.incidents.length, 0);
+  let text = `*:rotating_light: 継続中のインシデント: ${count}件*\n`;
+
+  ongoingIncidents.forEach(entry => {
+    entry.incidents.forEach(incident => {
+      const emoji = impactEmoji[incident.impact] || ':white_circle:';
+      const since = incident.since ? ` (${formatJapaneseDate(new Date(incident.since))}〜)` : '';
+      text += `  ${emoji} ${entry.sourceName}: ${incident.name} _[${incident.status}]_${since} <${incident.url}|詳細>\n`;
+    });
+
+    if (entry.degradedComponents.length > 0) {
+      const components = entry.degradedComponents.map(component => `${component.name} (${component.status})`);
+      text += `  :warning: ${entry.sourceName} 影響中のコンポーネント: ${components.join('、')}\n`;
+    }
+  });
+
+  return `${text}\n`;
+}
+
 /**
  * Post message to Slack webhook
  */
@@ -55,8 +106,9 @@ async function postToSlack(webhookUrl, message) {
 
 /**
  * Format items for Slack message
+ * `extras.ongoingIncidents` lists unresolved status page incidents (shown even without new items)
  */
-function formatMessage(newItems, stats, monitoringPeriod = {}) {
+function formatMessage(newItems, stats, monitoringPeriod = {}, extras = {}) {
   const severityEmoji = {
     critical: ':red_circle:',
     high: ':large_orange_diamond:',
@@ -99,6 +151,9 @@ function formatMessage(newItems, stats, monitoringPeriod = {}) {
     text += `*[Release Monitor] 今週の更新: ${stats.total}件*\n\n`;
   }
 
+  // Unresolved incidents are listed separately from new items
+  text += formatOngoingIncidents(extras.ongoingIncidents);
+
   // Check if there are no updates
   if (stats.total === 0) {
     text += '今週は新しい更新はありませんでした。\n';
@@ -145,12 +200,19 @@ function formatMessage(newItems, stats, monitoringPeriod = {}) {
 
         categoryItems.forEach(item => {
           const severityIcon = severityEmoji[item.severity];
-          const reasons = item.severityReasons.length > 0
-            ? ` _[${item.severityReasons.join(', ')}]_`
-            : '';
-
-          text += `  ${severityIcon} ${item.sourceName}: ${item.title}${reasons}\n`;
-          text += `     <${item.url}|詳細を見る>\n`;
+          const undated = item.dateUnknown ? ' (公開日不明)' : '';
+
+          text += `  ${severityIcon} ${formatSourceNames(item)}: ${item.title}${undated}\n`;
+          // Full breakdown so the severity can be traced to its factors
+          if (item.scoreBreakdown) {
+            text += `     _スコア ${formatScoreBreakdown(item)}_\n`;
+          } else if (item.severityReasons.length > 0) {
+            text += `     _[${item.severityReasons.join(', ')}]_\n`;
+          }
+          if (item.url) {
+            text += `     <${item.url}|詳細を見る>\n`;
+          }
+          text += formatItemDiff(item);
         });
 
         text += '\n';
@@ -175,7 +237,8 @@ function formatMessage(newItems, stats, monitoringPeriod = {}) {
         text += `${emoji} *${name}* (${categoryItems.length}件)\n`;
 
         categoryItems.slice(0, 3).forEach(item => {
-          text += `  • ${item.sourceName}: ${item.title.substring(0, 50)}... <${item.url}|詳細>\n`;
+          text += `  • ${formatSourceNames(item)}: ${item.title.substring(0, 50)}...${item.url ? ` <${item.url}|詳細>` : ''}\n`;
+          text += formatItemDiff(item, 4);
         });
 
         if (categoryItems.length > 3) {
@@ -261,14 +324,14 @@ function formatMessage(newItems, stats, monitoringPeriod = {}) {
 /**
  * Build and send Slack notification
  */
-async function sendNotification(webhookUrl, newItems, stats, monitoringPeriod = {}) {
+async function sendNotification(webhookUrl, newItems, stats, monitoringPeriod = {}, extras = {}) {
   if (!webhookUrl) {
     throw new Error('SLACK_WEBHOOK_URL is not configured');
   }
 
   console.log(`Preparing Slack notification for ${stats.total} items...`);
 
-  const text = formatMessage(newItems, stats, monitoringPeriod);
+  const text = formatMessage(newItems, stats, monitoringPeriod, extras);
 
   const message = {
     text,